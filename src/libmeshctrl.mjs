@@ -9,7 +9,8 @@
 import https_proxy_agent from 'https-proxy-agent'
 import crypto from 'crypto'
 import fs from "fs"
-import ws from "ws"
+import ws, { WebSocketServer } from "ws"
+import http from "http"
 import { default as urllib } from "url" //We use url as a variable down there a lot, so namespace this as a library
 import stream from "stream"
 import EventEmitter from 'events'
@@ -42,50 +43,333 @@ class _Deferred {
     }
 }
 
-let _compare_obj = (obj1, obj2)=>{
-    for (let [key, val] of Object.entries(obj1)) {
-        if (!obj2[key]) {
-            return false
+// Turns the reason a signal aborted into the error to throw. Timeouts become our own TimeoutError
+let _abort_reason = (signal, what)=>{
+    if (signal.reason && signal.reason.name === "TimeoutError" && !(signal.reason instanceof TimeoutError)) {
+        return new TimeoutError(`${what} timed out`)
+    }
+    return signal.reason
+}
+
+// Like `new Promise(executor)`, but rejected as soon as `signal` aborts. The executor gets a third argument to register
+// cleanup functions, which run exactly once however the promise settles. Errors thrown by an async executor reject the promise.
+let _abortable = (signal, what, executor)=>{
+    return new Promise((resolve, reject)=>{
+        let cleanups = [],
+            settled = false
+        let settle = (f)=>(value)=>{
+            if (settled) { return }
+            settled = true
+            if (signal) {
+                signal.removeEventListener("abort", on_abort)
+            }
+            for (let cleanup of cleanups) {
+                try { cleanup() } catch (err) { }
+            }
+            f(value)
         }
-        if (val instanceof Object) {
-            if (!_compare_obj(val, obj2[key])) {
-                return false
+        let on_abort = ()=>settle(reject)(_abort_reason(signal, what))
+        if (signal) {
+            if (signal.aborted) {
+                on_abort()
+                return
             }
-        } else if (val instanceof Set) {
-            for (let v of val) {
-                try {
-                    let sentinel = false
-                    for (let v2 of obj2[key]) {
-                        sentinel |= _compare_obj(v, v2)
-                        if (sentinel) { break }
-                    }
-                    if (!sentinel) {
-                        return false
-                    }
-                } catch (err) {
-                    return false
-                }
+            signal.addEventListener("abort", on_abort)
+        }
+        let on_cleanup = (cleanup)=>{
+            if (settled) {
+                cleanup()
+            } else {
+                cleanups.push(cleanup)
             }
-        } else if (val instanceof Array) {
-            try {
-                for (let [i, v] of val.entries()) {
-                    if (!_compare_obj(v, obj2[key])) {
-                        return false
-                    }
-                }
-                if (val.length !== obj2[key].length) {
-                    return false
-                }
-            } catch (err) {
+        }
+        try {
+            let r = executor(settle(resolve), settle(reject), on_cleanup)
+            if (r && r.catch) {
+                r.catch(settle(reject))
+            }
+        } catch (err) {
+            settle(reject)(err)
+        }
+    })
+}
+
+const _FILTER_OPERATORS = {
+    $in: (arg, value)=>arg.some((cond)=>_compare_value(cond, value)),
+    $not: (arg, value)=>!_compare_value(arg, value),
+    $exists: (arg, value)=>(value !== undefined && value !== null) === Boolean(arg),
+    $gt: (arg, value)=>value > arg,
+    $gte: (arg, value)=>value >= arg,
+    $lt: (arg, value)=>value < arg,
+    $lte: (arg, value)=>value <= arg,
+}
+
+// Whether `value` satisfies one condition of a filter. See Session#listen_to_events for the filter language
+let _compare_value = (cond, value)=>{
+    if (typeof cond === "function") {
+        return Boolean(cond(value))
+    }
+    if (cond instanceof RegExp) {
+        return (typeof value === "string" || typeof value === "number") && cond.test(`${value}`)
+    }
+    if (cond instanceof Set) {
+        // Every member must match some item of the value
+        if (!(value instanceof Array)) {
+            return false
+        }
+        for (let c of cond) {
+            if (!value.some((v)=>_compare_value(c, v))) {
                 return false
             }
-        } else if (obj2[key] !== val) {
+        }
+        return true
+    }
+    if (cond instanceof Array) {
+        return value instanceof Array && value.length === cond.length && cond.every((c, i)=>_compare_value(c, value[i]))
+    }
+    if (cond instanceof Date) {
+        return value !== undefined && value !== null && new Date(value).getTime() === cond.getTime()
+    }
+    if (cond instanceof Object) {
+        let keys = Object.keys(cond)
+        if (keys.length && keys.every((key)=>key.startsWith("$"))) {
+            return keys.every((key)=>{
+                if (!_FILTER_OPERATORS[key]) {
+                    throw new ValueError(`Unknown filter operator ${key}`)
+                }
+                return _FILTER_OPERATORS[key](cond[key], value)
+            })
+        }
+        return value instanceof Object && _compare_obj(cond, value)
+    }
+    return value === cond
+}
+
+// Whether `obj2` matches the filter `obj1`. Keys may be dotted paths into nested objects
+let _compare_obj = (obj1, obj2)=>{
+    if (typeof obj1 === "function") {
+        return Boolean(obj1(obj2))
+    }
+    for (let [key, val] of Object.entries(obj1)) {
+        if (!_compare_value(val, _.get(obj2, key))) {
             return false
         }
     }
     return true
 }
 
+// Regex for a glob pattern, where "*" matches anything and "?" one character
+let _glob_regex = (pattern)=>new RegExp(`^${`${pattern}`.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`, "i")
+
+let _glob = (value, pattern)=>value !== undefined && value !== null && _glob_regex(pattern).test(`${value}`)
+
+let _ipv4_number = (ip)=>{
+    let m = /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(`${ip}`)
+    return m ? m.slice(1).reduce((n, octet)=>n * 256 + Number(octet), 0) : null
+}
+
+let _in_subnet = (ip, subnet)=>{
+    let [base, bits] = subnet.split("/")
+    let size = 2 ** (32 - Number(bits))
+    ip = _ipv4_number(ip)
+    base = _ipv4_number(base)
+    return ip !== null && base !== null && Math.floor(ip / size) === Math.floor(base / size)
+}
+
+const _DURATION_UNITS = {ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000}
+
+// Milliseconds in a duration such as "7d", "12h" or "90s". Plain numbers are milliseconds
+let _parse_duration = (duration)=>{
+    if (typeof duration === "number") {
+        return duration
+    }
+    let m = /^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)?$/.exec(`${duration}`.trim())
+    if (!m) {
+        throw new ValueError(`Invalid duration ${duration}`)
+    }
+    return Number(m[1]) * _DURATION_UNITS[m[2] || "ms"]
+}
+
+let _parse_number = (value)=>{
+    if (isNaN(Number(value))) {
+        throw new ValueError(`Invalid number ${value}`)
+    }
+    return Number(value)
+}
+
+// Fields of the device query language. `get` reads the field from a device, `match` checks a plain value and `parse` turns a comparison argument into something comparable
+const _DEVICE_FIELDS = {
+    id: {get: (d)=>d._id, match: (v, arg)=>_same_id(v, arg)},
+    name: {get: (d)=>d.name, match: _glob},
+    os: {get: (d)=>d.osdesc, match: _glob},
+    group: {get: (d)=>[d.groupname, d.meshid], sort: (d)=>d.groupname, match: (v, arg)=>_glob(v[0], arg) || _same_id(v[1], arg)},
+    tag: {get: (d)=>d.tags || [], sort: (d)=>(d.tags || []).join(","), match: (v, arg)=>v.some((tag)=>_glob(tag, arg))},
+    ip: {get: (d)=>d.ip || d.host, match: (v, arg)=>`${arg}`.includes("/") ? _in_subnet(v, `${arg}`) : _glob(v, arg)},
+    conn: {get: (d)=>d.conn || 0, match: (v, arg)=>arg === "online" ? Boolean(v & 1) : (arg === "offline" ? !(v & 1) : Boolean(v & _parse_number(arg)))},
+    lastseen: {get: (d, now)=>(d.conn & 1) ? 0 : (d.lastconnect ? now - d.lastconnect : Infinity), parse: _parse_duration, match: (v, arg)=>v <= _parse_duration(arg)},
+    agent: {get: (d)=>d.agent ? d.agent.ver : null, parse: _parse_number, match: (v, arg)=>v === _parse_number(arg)},
+}
+
+const _QUERY_OPERATORS = {":": null, "~": null, "<": "$lt", "<=": "$lte", ">": "$gt", ">=": "$gte"}
+
+// Turns a device query string into a list of [field, condition] pairs, all of which must match
+let _parse_device_query = (query)=>{
+    let terms = []
+    for (let token of query.match(/(?:[^\s"]+|"[^"]*")+/g) || []) {
+        let m = /^([-!]?)([a-z]+)(<=|>=|[:~<>])(.*)$/i.exec(token)
+        if (!m) {
+            // A bare word looks for devices whose name contains it
+            m = [token, token[0] === "-" ? "-" : "", "name", "~", token.replace(/^-/, "")]
+        }
+        let [, negate, field, op, arg] = m
+        arg = arg.replace(/"/g, "")
+        field = field.toLowerCase()
+        if (!_DEVICE_FIELDS[field]) {
+            throw new ValueError(`Unknown device query field ${field}`)
+        }
+        let cond = op === ":" ? arg : (op === "~" ? new RegExp(arg.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i") : {[_QUERY_OPERATORS[op]]: arg})
+        terms.push([field, negate ? {$not: cond} : cond])
+    }
+    return terms
+}
+
+// Whether the value of a device field satisfies one condition of a device query
+let _match_device_field = (field, cond, value)=>{
+    let spec = _DEVICE_FIELDS[field]
+    if (typeof cond === "function") {
+        return Boolean(cond(value))
+    }
+    if (cond instanceof RegExp) {
+        return (value instanceof Array ? value : [value]).some((v)=>v !== undefined && v !== null && cond.test(`${v}`))
+    }
+    if (cond instanceof Array) {
+        return cond.some((c)=>_match_device_field(field, c, value))
+    }
+    if (cond instanceof Object) {
+        return Object.entries(cond).every(([op, arg])=>{
+            if (op === "$not") {
+                return !_match_device_field(field, arg, value)
+            }
+            if (op === "$in") {
+                return arg.some((c)=>_match_device_field(field, c, value))
+            }
+            if (!["$lt", "$lte", "$gt", "$gte"].includes(op)) {
+                throw new ValueError(`Unknown device query operator ${op}`)
+            }
+            if (!spec.parse) {
+                throw new ValueError(`Device query field ${field} can't be compared`)
+            }
+            return value !== null && value !== undefined && _FILTER_OPERATORS[op](spec.parse(arg), value)
+        })
+    }
+    return spec.match(value, cond)
+}
+
+// Filters, sorts and pages a list of devices with a device query. See Session#find_devices for the language
+let _find_devices = (devices, query, {sort=null, limit=null, offset=0}={})=>{
+    let now = Date.now()
+    let terms
+    if (typeof query === "function" || query === null) {
+        terms = query ? [[null, query]] : []
+    } else {
+        terms = typeof query === "string" ? _parse_device_query(query) : Object.entries(query)
+        for (let [field] of terms) {
+            if (!_DEVICE_FIELDS[field]) {
+                throw new ValueError(`Unknown device query field ${field}`)
+            }
+        }
+    }
+    let found = devices.filter((d)=>terms.every(([field, cond])=>field === null ? cond(d) : _match_device_field(field, cond, _DEVICE_FIELDS[field].get(d, now))))
+    if (sort) {
+        let keys = (sort instanceof Array ? sort : [sort]).map((key)=>[key.replace(/^-/, ""), key.startsWith("-") ? "desc" : "asc"])
+        for (let [field] of keys) {
+            if (!_DEVICE_FIELDS[field]) {
+                throw new ValueError(`Unknown device query field ${field}`)
+            }
+        }
+        found = _.orderBy(found, keys.map(([field])=>(d)=>(_DEVICE_FIELDS[field].sort || _DEVICE_FIELDS[field].get)(d, now)), keys.map(([, order])=>order))
+    }
+    return found.slice(offset || 0, limit === null ? undefined : (offset || 0) + limit)
+}
+
+// Same format as MeshCentral's encodeCookie: AES-256-GCM with the first 32 bytes of the key, then url safe base64 of iv, auth tag and ciphertext
+let _encode_cookie = (obj, key)=>{
+    obj = Object.assign({}, obj, {time: Math.floor(Date.now() / 1000)})
+    let iv = crypto.randomBytes(12),
+        cipher = crypto.createCipheriv('aes-256-gcm', key.slice(0, 32), iv)
+    let crypted = Buffer.concat([cipher.update(JSON.stringify(obj), 'utf8'), cipher.final()])
+    return Buffer.concat([iv, cipher.getAuthTag(), crypted]).toString('base64').replace(/\+/g, '@').replace(/\//g, '$')
+}
+
+// Inverse of _encode_cookie. Returns null for cookies which are invalid or older than timeout minutes
+let _decode_cookie = (cookie, key, timeout=2)=>{
+    try {
+        cookie = Buffer.from(cookie.replace(/@/g, '+').replace(/\$/g, '/'), 'base64')
+        let decipher = crypto.createDecipheriv('aes-256-gcm', key.slice(0, 32), cookie.slice(0, 12))
+        decipher.setAuthTag(cookie.slice(12, 28))
+        let obj = JSON.parse(decipher.update(cookie.slice(28), undefined, 'utf8') + decipher.final('utf8'))
+        if (typeof obj.time !== 'number') { return null }
+        let age = Date.now() - obj.time*1000
+        // Allow for the clocks being a little out of step
+        if (age > timeout*60000 || age < -30000) { return null }
+        return obj
+    } catch (err) {
+        return null
+    }
+}
+
+let _base32_decode = (str)=>{
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+    let bits = 0,
+        value = 0,
+        out = []
+    for (let c of str.toUpperCase().replace(/[\s=-]/g, '')) {
+        let i = alphabet.indexOf(c)
+        if (i < 0) {
+            throw new ValueError("Invalid base32 secret")
+        }
+        value = (value << 5) | i
+        bits += 5
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 0xff)
+            bits -= 8
+        }
+    }
+    return Buffer.from(out)
+}
+
+// RFC 6238 TOTP code, with the defaults every authenticator app uses
+let _totp = (secret, {time=Date.now(), step=30, digits=6}={})=>{
+    let key = Buffer.isBuffer(secret) ? secret : _base32_decode(secret),
+        counter = Buffer.alloc(8)
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / step)))
+    let hmac = crypto.createHmac('sha1', key).update(counter).digest()
+    let offset = hmac[hmac.length - 1] & 0xf
+    return `${(hmac.readUInt32BE(offset) & 0x7fffffff) % 10**digits}`.padStart(digits, '0')
+}
+
+let _read_login_key = (loginkey)=>{
+    if (!Buffer.isBuffer(loginkey)) {
+        try {
+            loginkey = fs.readFileSync(loginkey, 'utf8')
+        } catch (err) {
+            // Not a file, so it should be the key itself
+            if (err.code != "ENOENT" && err.code != "ENAMETOOLONG") {
+                throw err
+            }
+        }
+        loginkey = loginkey.trim()
+        if (!/^[0-9a-fA-F]{160}$/.test(loginkey)) {
+            throw new ValueError("Invalid login key")
+        }
+        loginkey = Buffer.from(loginkey, 'hex')
+    }
+    if (loginkey.length != 80) {
+        throw new ValueError("Invalid login key")
+    }
+    return loginkey
+}
+
 let _make_enum = (properties, {start_value=0x0, use_string=false}={})=>{
     let e = {},
         value = start_value
@@ -123,25 +407,140 @@ let _make_bitwise_enum = (properties, {all_prop=null, all_prop_value=undefined,
     return e
 }
 
-/** Represents an error thrown from the server
+/** Represents an error thrown from the server. Errors the server gives for a command are turned into one of the subclasses below where the result is a known one, so callers can tell them apart.
  * @extends Error
+ * @prop {?Object} command - The command which failed, with secrets such as passwords taken out
+ * @prop {Object} ids - Ids and names of the devices, groups and users the command was for, keyed as in the command
+ * @prop {?Object} response - The server's response, as it was received
  */
 class ServerError extends Error {
     static type = Symbol()
-    constructor(message) {
+    constructor(message, {command=null, ids={}, response=null}={}) {
         super(message)
         this.type = ServerError.type
+        this.command = command
+        this.ids = ids
+        this.response = response
+    }
+}
+
+/** Represents a command the user doesn't have the rights for
+ * @extends ServerError
+ */
+class PermissionDeniedError extends ServerError {
+    static type = Symbol()
+    constructor(message, details={}) {
+        super(message, details)
+        this.type = PermissionDeniedError.type
+    }
+}
+
+/** Represents a command for a device, group, user or file which doesn't exist
+ * @extends ServerError
+ */
+class NotFoundError extends ServerError {
+    static type = Symbol()
+    constructor(message, details={}) {
+        super(message, details)
+        this.type = NotFoundError.type
+    }
+}
+
+/** Represents a command to create something which already exists, such as a user with a taken name
+ * @extends ServerError
+ */
+class AlreadyExistsError extends ServerError {
+    static type = Symbol()
+    constructor(message, details={}) {
+        super(message, details)
+        this.type = AlreadyExistsError.type
+    }
+}
+
+/** Represents a command the server refused because of a bad or missing value in it
+ * @extends ServerError
+ */
+class InvalidArgumentError extends ServerError {
+    static type = Symbol()
+    constructor(message, details={}) {
+        super(message, details)
+        this.type = InvalidArgumentError.type
+    }
+}
+
+/** Represents a command which needs the device's agent to be connected, when it isn't
+ * @extends ServerError
+ */
+class DeviceOfflineError extends ServerError {
+    static type = Symbol()
+    constructor(message, details={}) {
+        super(message, details)
+        this.type = DeviceOfflineError.type
+    }
+}
+
+/** Represents a command which needs the consent of the device's user, who declined or didn't answer
+ * @extends ServerError
+ */
+class ConsentDeniedError extends ServerError {
+    static type = Symbol()
+    constructor(message, details={}) {
+        super(message, details)
+        this.type = ConsentDeniedError.type
+    }
+}
+
+/** Represents a file upload or download which the device failed or canceled
+ * @extends ServerError
+ * @prop {string} result - "error" or "canceled", as the device sent it
+ * @prop {number} size - Number of bytes transferred before it stopped
+ */
+class TransferError extends ServerError {
+    static type = Symbol()
+    constructor(message, result, size, details={}) {
+        super(message, details)
+        this.type = TransferError.type
+        this.result = result
+        this.size = size
+    }
+}
+
+/** Represents a failure to log in, such as a wrong password or login key
+ * @extends ServerError
+ */
+class AuthenticationError extends ServerError {
+    static type = Symbol()
+    constructor(message, details={}) {
+        super(message, details)
+        this.type = AuthenticationError.type
+    }
+}
+
+/** Represents a login which failed because of two-factor authentication
+ * @extends AuthenticationError
+ * @prop {string} reason - "missing" if no code was given, "invalid" if the server rejected the code
+ * @prop {Object} challenge - The server's challenge, showing which kinds of two-factor authentication the account has
+ */
+class TwoFactorError extends AuthenticationError {
+    static type = Symbol()
+    constructor(message, reason, challenge={}) {
+        super(message)
+        this.type = TwoFactorError.type
+        this.reason = reason
+        this.challenge = challenge
     }
 }
 
 /** Represents an error in the websocket
  * @extends Error
+ * @prop {?string} code - The socket's error code, such as "ECONNREFUSED", if there was one
  */
 class SocketError extends Error {
     static type = Symbol()
-    constructor(message) {
+    constructor(message, code=null) {
         super(message)
         this.type = SocketError.type
+        this.code = code
     }
 }
 
@@ -167,93 +566,530 @@ class TimeoutError extends Error {
     }
 }
 
-/**
- * @readonly
- * @enum {number} - Bitwise flags for user rights
- * @prop {number} norights - User has no rights
- * @prop {number} backup - 
- * @prop {number} manageusers - User can add or remove users
- * @prop {number} restore - 
- * @prop {number} fileaccess - 
- * @prop {number} update - 
- * @prop {number} locked - 
- * @prop {number} nonewgroups - 
- * @prop {number} notools - 
- * @prop {number} usergroups - 
- * @prop {number} recordings -
- * @prop {number} locksettings -
- * @prop {number} allevents -
- * @prop {number} fullrights - User has all rights above
+/** Represents events arriving faster than an event stream was read, until its buffer filled up
+ * @extends Error
  */
-const USERRIGHTS = _make_bitwise_enum(['backup', 'manageusers', 'restore', 'fileaccess', 'update', 'locked', 'nonewgroups', 'notools', 'usergroups', 'recordings', 'locksettings', 'allevents'], {all_prop:"fullrights", none_prop: "norights"})
+class EventOverflowError extends Error {
+    static type = Symbol()
+    constructor(message) {
+        super(message)
+        this.type = EventOverflowError.type
+    }
+}
 
-/**
- * @readonly
- * @enum {number} - Bitwise flags for mesh rights
- * @prop {number} norights - User has no rights
- * @prop {number} editgroup - The right to edit the group
- * @prop {number} manageusers - Right to manage users
- * @prop {number} managedevices - Right to add/remove/rename devices
- * @prop {number} remotecontrol - Remotely control nodes
- * @prop {number} agentconsole - Access to the agent console
- * @prop {number} serverfiles - 
- * @prop {number} wakedevices - Wake up devices from sleep
- * @prop {number} notes - 
- * @prop {number} desktopviewonly - Only view desktop; no control
- * @prop {number} noterminal - Disable terminal
- * @prop {number} nofiles - Disable file handling
- * @prop {number} noamt -
- * @prop {number} limiteddesktop -
- * @prop {number} limitedevents -
- * @prop {number} chatnotify -
- * @prop {number} uninstall -
- * @prop {number} noremotedesktop - Disable remote desktop
- * @prop {number} remotecommands - Right to send commands to device
- * @prop {number} resetpoweroff - Right to reset or power off node
- * @prop {number} fullrights - User has all rights above
+/** Represents a name given in place of an id which matches more than one object
+ * @extends ValueError
+ * @prop {string} value - The name which was given
+ * @prop {string[]} matches - Ids of every object with that name
  */
-const MESHRIGHTS = _make_bitwise_enum(["editgroup", "manageusers", "managedevices", "remotecontrol", "agentconsole", "serverfiles", "wakedevices", "notes", "desktopviewonly", "noterminal", "nofiles", "noamt", "limiteddesktop", "limitedevents", "chatnotify", "uninstall", "noremotedesktop", "remotecommands", "resetpoweroff", "guestsharing", "devicedetails", "relay"], {all_prop:"fullrights", all_prop_value: 0xFFFFFFFF, none_prop: "norights"})
+class AmbiguousNameError extends ValueError {
+    static type = Symbol()
+    constructor(message, value, matches) {
+        super(message)
+        this.type = AmbiguousNameError.type
+        this.value = value
+        this.matches = matches
+    }
+}
 
-/**
- * @readonly
- * @enum {number} - Bitwise flags for 
- * @prop {number} none - Use no flags
- * @prop {number} desktopnotify - 
- * @prop {number} terminalnotify - 
- * @prop {number} filesnotify - 
- * @prop {number} desktopprompt - 
- * @prop {number} terminalprompt - 
- * @prop {number} filesprompt - 
- * @prop {number} desktopprivacybar - 
- * @prop {number} all - Use all flags
+/** Represents a shell dialogue which failed at one of its steps
+ * @extends Error
+ * @prop {string|number} step - Name, or index if it has none, of the step which failed
+ * @prop {Object} captures - Named groups captured before the failure
+ * @prop {_Transcript} transcript - Everything read and sent up to the failure, with what was waiting unread at the end
+ * @prop {?Error} cause - The error which stopped the step, such as a {@link TimeoutError}, if there was one
  */
-const CONSENTFLAGS = _make_bitwise_enum(["desktopnotify", "terminalnotify", "filesnotify", "desktopprompt", "terminalprompt", "filesprompt", "desktopprivacybar"], {all_prop:"all", none_prop: "none"})
+class DialogueError extends Error {
+    static type = Symbol()
+    constructor(message, step, captures, transcript, cause=null) {
+        super(message, cause === null ? undefined : {cause})
+        this.type = DialogueError.type
+        this.step = step
+        this.captures = captures
+        this.transcript = transcript
+        if (cause === null) {
+            this.cause = null
+        }
+    }
+}
 
-/**
- * @readonly
- * @enum {number} - Bitwise flags for features to be used in meshes
- * @prop {number} none - Use no flags
- * @prop {number} autoremove - 
- * @prop {number} hostnamesync - 
- * @prop {number} recordsessions - Allow recording of sessions
- * @prop {number} all - Use all flags
- */
-const MESHFEATURES = _make_bitwise_enum(["autoremove", "hostnamesync", "recordsessions"], {all_prop:"all", none_prop: "none"})
+// Known results and messages from the server, and the error each one means. The first match wins, so more specific ones come first.
+const _RESULT_ERRORS = [
+    [/already (exists|in use|taken)|duplicate/i, AlreadyExistsError],
+    [/consent|denied by (the )?user|user (denied|declined|rejected)/i, ConsentDeniedError],
+    [/unable to route|not connected|offline|agent (is )?not (connected|available)|no agent/i, DeviceOfflineError],
+    [/access denied|permission|not allowed|no rights|unauthori[sz]ed|forbidden/i, PermissionDeniedError],
+    [/login|authenticat|two.?factor|expired (session|cookie)/i, AuthenticationError],
+    [/not found|no such|unknown (device|node|user|mesh|group|session)|unable to find|does not exist|not in (mesh|group)|^invalid (device|node|user|mesh|device group|user group|group|share|device share|session)( id)?$|^invalid (node|mesh|user|ugrp|group)id$/i, NotFoundError],
+    [/invalid|bad |malformed|missing|required|too (long|short|many)|must be|not supported|unsupported/i, InvalidArgumentError],
+]
+
+// Fields of a command which name the objects it was for
+const _TARGET_KEYS = ["nodeid", "nodeids", "meshid", "userid", "userids", "usernames", "username", "ugrpid", "ugrpids", "groupid", "path"]
+
+// Builds the error for `message`, a result or message the server gave in answer to `command`
+let _server_error = (message, command=null, response=null)=>{
+    let cls = ServerError
+    for (let [regex, error] of _RESULT_ERRORS) {
+        if (regex.test(`${message}`)) {
+            cls = error
+            break
+        }
+    }
+    let ids = {}
+    for (let key of _TARGET_KEYS) {
+        if (command && command[key] !== undefined && command[key] !== null) {
+            ids[key] = command[key]
+        }
+    }
+    return new cls(message, {command: command === null ? null : _redact(command, _REDACT_KEYS), ids: ids, response: response})
+}
 
-/**
- * @readonly
- * @enum {string} - String constants used to determine which type of device share to create
- * @prop {string} desktop
- * @prop {string} terminal
- */
-const SHARINGTYPE = _make_enum(["desktop", "terminal"], {use_string: true})
+// Kinds of object ids. A full id is "kind/domain/name", where the domain is empty for the default domain
+const _ID_KINDS = ["node", "mesh", "user", "ugrp"]
 
-/**
- * @readonly
- * @enum {number} - Internal enum used to map SHARINGTYPE to the number used by MeshCentral
- * @prop {number} desktop
- * @prop {number} terminal
- */
+// Splits an id into its parts. A short id, without kind and domain, has null for both
+let _parse_id = (id)=>{
+    let parts = `${id}`.split("/")
+    if (parts.length >= 3 && _ID_KINDS.includes(parts[0])) {
+        return {kind: parts[0], domain: parts[1], name: parts.slice(2).join("/")}
+    }
+    return {kind: null, domain: null, name: `${id}`}
+}
+
+// Turns a short id into a full one in `domain`. Full ids are returned as they are
+let _format_id = (kind, id, domain=null)=>{
+    if (id === undefined || id === null) {
+        return null
+    }
+    let parsed = _parse_id(id)
+    if (parsed.kind !== null) {
+        return `${id}`
+    }
+    return `${kind}/${domain || ""}/${parsed.name}`
+}
+
+// Whether two ids refer to the same object. A short id is taken to be in `domain`, or in any domain if that is null
+let _same_id = (a, b, domain=null)=>{
+    if (a === undefined || a === null || b === undefined || b === null) {
+        return a === b
+    }
+    let pa = _parse_id(a),
+        pb = _parse_id(b)
+    if (pa.name !== pb.name) {
+        return false
+    }
+    if (pa.kind !== null && pb.kind !== null) {
+        return pa.kind === pb.kind && pa.domain === pb.domain
+    }
+    let full = pa.kind !== null ? pa : pb
+    return full.kind === null || domain === null || full.domain === domain
+}
+
+/** Base of every typed server event, as delivered by {@link Session#on}
+ * @prop {string} type - What happened, such as "device.connected". See {@link Session#on} for every type.
+ * @prop {Date} time - When it happened, or when it arrived if the server didn't say
+ * @prop {string} nodeid - Full id of the device involved, or null
+ * @prop {string} userid - Full id of the user involved, or null
+ * @prop {string} meshid - Full id of the device group involved, or null
+ * @prop {string} message - Description from the server, or null
+ * @prop {Object} raw - The event as the server sent it
+ */
+class ServerEvent {
+    constructor(type, raw, event, domain) {
+        this.type = type
+        this.time = event.time ? new Date(event.time) : new Date()
+        this.nodeid = _format_id("node", event.nodeid, domain)
+        this.userid = _format_id("user", event.userid, domain)
+        this.meshid = _format_id("mesh", event.meshid, domain)
+        this.message = event.msg || null
+        this.raw = raw
+    }
+}
+
+/** A device's agent connected to or disconnected from the server. Types "device.connected" and "device.disconnected".
+ * @extends ServerEvent
+ * @prop {number} conn - Bitmask of the device's connections. 1 is the agent, 2 is Intel AMT CIRA, 4 is Intel AMT directly.
+ * @prop {number} power - Power state of the device, if known
+ */
+class DeviceConnectionEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.conn = event.conn || 0
+        this.power = event.pwr === undefined ? null : event.pwr
+    }
+}
+
+/** A device was added, changed, moved to another group or removed. Types "device.added", "device.changed", "device.moved" and "device.removed".
+ * @extends ServerEvent
+ * @prop {Object} node - The device as it is now, or null
+ * @prop {string} from_meshid - For "device.moved", the group the device was in before
+ */
+class DeviceEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.node = event.node || null
+        this.from_meshid = _format_id("mesh", event.oldMeshId, domain)
+        if (event.newMeshId) {
+            this.meshid = _format_id("mesh", event.newMeshId, domain)
+        } else if (this.meshid === null && this.node && this.node.meshid) {
+            this.meshid = _format_id("mesh", this.node.meshid, domain)
+        }
+    }
+}
+
+/** A user logged in or out, or their account was added, changed or removed. Types "user.login", "user.logout", "user.added", "user.changed" and "user.removed".
+ * @extends ServerEvent
+ * @prop {string} username - Name of the user
+ * @prop {Object} account - The account as it is now, or null
+ */
+class UserEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.username = event.username || null
+        this.account = event.account || null
+    }
+}
+
+/** A device group was added, changed or removed. Types "mesh.added", "mesh.changed" and "mesh.removed".
+ * @extends ServerEvent
+ * @prop {string} name - Name of the group
+ */
+class MeshEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.name = event.name || null
+    }
+}
+
+/** A user group was added, changed or removed. Types "usergroup.added", "usergroup.changed" and "usergroup.removed".
+ * @extends ServerEvent
+ * @prop {string} groupid - Full id of the user group
+ * @prop {string} name - Name of the group, if given
+ */
+class UserGroupEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.groupid = _format_id("ugrp", event.ugrpid, domain)
+        this.name = event.name || null
+    }
+}
+
+/** Output of a command run with {@link Session#run_command} or {@link Session#run_console_command}. Type "console.output".
+ * @extends ServerEvent
+ * @prop {string} output - The output
+ */
+class ConsoleOutputEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.output = event.value === undefined ? null : `${event.value}`
+        this.message = this.output
+    }
+}
+
+/** An entry in a device's log. Type "agent.log".
+ * @extends ServerEvent
+ * @prop {number} msgid - Number of the server's message template, or null
+ * @prop {string[]} args - Arguments to the message template
+ */
+class AgentLogEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.msgid = event.msgid === undefined ? null : event.msgid
+        this.args = event.msgArgs || []
+    }
+}
+
+/** A file operation logged by a device. Types "file.mkdir", "file.rm", "file.rename", "file.upload" and "file.download".
+ * @extends AgentLogEvent
+ * @prop {string} operation - "mkdir", "rm", "rename", "upload" or "download"
+ */
+class FileOperationEvent extends AgentLogEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.operation = type.slice(5)
+    }
+}
+
+/** A message sent with {@link Session#interuser}. Type "user.message".
+ * @extends ServerEvent
+ * @prop {*} data - The message
+ * @prop {string} sessionid - Session which sent it, or null
+ */
+class UserMessageEvent extends ServerEvent {
+    constructor(type, raw, event, domain) {
+        super(type, raw, event, domain)
+        this.data = event.data === undefined ? null : event.data
+        this.sessionid = event.sessionid || null
+    }
+}
+
+// Typed event names and classes for server events, by etype and action
+const _EVENT_TYPES = {
+    node: {addnode: ["device.added", DeviceEvent], changenode: ["device.changed", DeviceEvent], removenode: ["device.removed", DeviceEvent], nodemeshchange: ["device.moved", DeviceEvent]},
+    user: {login: ["user.login", UserEvent], logout: ["user.logout", UserEvent], accountcreate: ["user.added", UserEvent], accountchange: ["user.changed", UserEvent], accountremove: ["user.removed", UserEvent]},
+    mesh: {createmesh: ["mesh.added", MeshEvent], meshchange: ["mesh.changed", MeshEvent], deletemesh: ["mesh.removed", MeshEvent]},
+    ugrp: {createusergroup: ["usergroup.added", UserGroupEvent], usergroupchange: ["usergroup.changed", UserGroupEvent], deleteusergroup: ["usergroup.removed", UserGroupEvent]},
+}
+
+// Log messages of the agent's file explorer. Older agents only send the text, so that is checked too
+const _FILE_LOG_IDS = {44: "mkdir", 45: "rm", 48: "rename"}
+const _FILE_LOG_TEXT = [[/^Create folder/, "mkdir"], [/^Delete/, "rm"], [/^Rename/, "rename"], [/^Upload/, "upload"], [/^Download/, "download"]]
+
+// Classifies a raw server event into one of the typed event classes
+let _parse_event = (data, domain)=>{
+    if (data.action === "msg" && data.type === "console") {
+        return new ConsoleOutputEvent("console.output", data, data, domain)
+    }
+    if (data.action === "interuser") {
+        return new UserMessageEvent("user.message", data, data, domain)
+    }
+    let event = data.event || data
+    if (event.etype === "node" && event.action === "nodeconnect") {
+        return new DeviceConnectionEvent((event.conn & 1) ? "device.connected" : "device.disconnected", data, event, domain)
+    }
+    if (event.etype === "node" && event.action === "agentlog") {
+        let operation = _FILE_LOG_IDS[event.msgid] || null
+        for (let [regex, op] of _FILE_LOG_TEXT) {
+            if (operation === null && regex.test(event.msg || "")) {
+                operation = op
+            }
+        }
+        return operation === null ? new AgentLogEvent("agent.log", data, event, domain) : new FileOperationEvent(`file.${operation}`, data, event, domain)
+    }
+    let [type, cls] = (_EVENT_TYPES[event.etype] || {})[event.action] || ["other", ServerEvent]
+    return new cls(type, data, event, domain)
+}
+
+// Agent types which run Windows
+const _WINDOWS_AGENTS = [1, 2, 3, 4]
+
+// The shell a device runs commands in: "cmd" or "powershell" on Windows, "sh" anywhere else
+let _command_shell = (node, powershell=false)=>{
+    let windows = node && ((node.agent && _WINDOWS_AGENTS.includes(node.agent.id)) || /windows/i.test(node.osdesc || ""))
+    if (!windows) {
+        return "sh"
+    }
+    return powershell ? "powershell" : "cmd"
+}
+
+// Scripts wrapping a command so it reports its stderr and exit code after its output, each introduced by a line starting with `marker`.
+// The command runs in a shell of its own, so that an `exit` in it ends only the command and not the wrapper.
+const _COMMAND_WRAPPERS = {
+    sh: (command, marker)=>[
+        `${marker}_err=$(mktemp 2>/dev/null || echo /tmp/${marker}.err)`,
+        `(`,
+        command,
+        `) 2>"$${marker}_err"`,
+        `${marker}_code=$?`,
+        `printf '\\n%s\\n' '${marker}:stderr'`,
+        `cat "$${marker}_err"`,
+        `rm -f "$${marker}_err"`,
+        `printf '\\n%s\\n' "${marker}:exit:$${marker}_code"`,
+    ].join("\n"),
+    // cmd has no subshell, so the command is written to a batch file which another cmd runs. certutil decodes the file from
+    // base64, which holds nothing cmd would need escaped.
+    cmd: (command, marker)=>[
+        `@echo off`,
+        ...Buffer.from(`@echo off\r\n${command.replace(/\r?\n/g, "\r\n")}\r\n`).toString("base64").match(/.{1,76}/g).map((line, i)=>{
+            return `${i ? ">>" : ">"}"%TEMP%\\${marker}.b64" echo ${line}`
+        }),
+        `certutil -f -decode "%TEMP%\\${marker}.b64" "%TEMP%\\${marker}.cmd" >nul`,
+        `cmd /d /c "%TEMP%\\${marker}.cmd" 2>"%TEMP%\\${marker}.err"`,
+        `set ${marker}=%errorlevel%`,
+        `del "%TEMP%\\${marker}.b64" "%TEMP%\\${marker}.cmd"`,
+        `echo.`,
+        `echo ${marker}:stderr`,
+        `type "%TEMP%\\${marker}.err"`,
+        `del "%TEMP%\\${marker}.err"`,
+        `echo.`,
+        `echo ${marker}:exit:%${marker}%`,
+    ].join("\r\n"),
+    powershell: (command, marker)=>[
+        `$${marker}_err = [System.IO.Path]::GetTempFileName()`,
+        // A script block passed to powershell runs in a new process
+        `& powershell -NoProfile -NonInteractive -Command {`,
+        command,
+        `} 2> $${marker}_err`,
+        `$${marker}_ok = $?`,
+        `$${marker}_code = if ($LASTEXITCODE -ne $null) { $LASTEXITCODE } elseif ($${marker}_ok) { 0 } else { 1 }`,
+        `Write-Output ""`,
+        `Write-Output "${marker}:stderr"`,
+        `Get-Content $${marker}_err`,
+        `Remove-Item $${marker}_err`,
+        `Write-Output ""`,
+        `Write-Output "${marker}:exit:$${marker}_code"`,
+    ].join("\r\n"),
+}
+
+// Splits the output of a wrapped command. The exit code is null if the command never got to report it, such as when it timed out.
+let _parse_wrapped = (output, marker)=>{
+    let m = output.match(new RegExp(`^([\\s\\S]*?)\\r?\\n${marker}:stderr\\r?\\n([\\s\\S]*?)\\r?\\n${marker}:exit:(-?\\d+)`))
+    if (m !== null) {
+        return {stdout: m[1], stderr: m[2], exit_code: parseInt(m[3])}
+    }
+    m = output.match(new RegExp(`^([\\s\\S]*?)\\r?\\n${marker}:stderr\\r?\\n([\\s\\S]*)$`))
+    if (m !== null) {
+        return {stdout: m[1], stderr: m[2], exit_code: null}
+    }
+    return {stdout: output, stderr: "", exit_code: null}
+}
+
+// Quotes one argument for the line which runs a script: for sh, or for the batch file cmd runs on Windows, which expands %VAR% even in quotes
+let _quote_arg = (value, windows)=>{
+    value = String(value)
+    return windows ? `"${value.replace(/%/g, "%%").replace(/"/g, '""')}"` : `'${value.replace(/'/g, `'\\''`)}'`
+}
+
+// Milliseconds to wait for a device to delete a script it ran, since the run's own timeout may have passed already
+const _SCRIPT_CLEANUP_TIMEOUT = 30000
+
+// Languages a script can be written in, in the order variants are picked. `windows` says which devices run it, or is null for any,
+// `ext` names the file it is uploaded to and in a script library, and `run` is the program which runs it.
+const _SCRIPT_TYPES = {
+    sh: {windows: false, ext: [".sh"], run: ()=>"sh"},
+    bash: {windows: false, ext: [".bash"], run: ()=>"bash"},
+    powershell: {windows: true, ext: [".ps1"], run: ()=>"powershell -NoProfile -NonInteractive -ExecutionPolicy Bypass -File"},
+    cmd: {windows: true, ext: [".cmd", ".bat"], run: ()=>"call"},
+    python: {windows: null, ext: [".py"], run: (windows)=>windows ? "python" : "python3"},
+}
+
+// The line which runs an uploaded script, with its environment set first. On Windows, values must not hold quotes or line
+// breaks, which `set "NAME=value"` has no way to escape.
+let _script_command = (type, path, {args=[], env={}, interpreter=null, windows=false}={})=>{
+    let line = [interpreter || _SCRIPT_TYPES[type].run(windows), _quote_arg(path, windows), ...args.map((arg)=>_quote_arg(arg, windows))].join(" ")
+    let vars = Object.entries(env)
+    if (windows) {
+        return [...vars.map(([name, value])=>`set "${name}=${String(value).replace(/%/g, "%%")}"`), line].join("\r\n")
+    }
+    return [...vars.map(([name, value])=>`${name}=${_quote_arg(value, false)}`), line].join(" ")
+}
+
+// Kinds of objects which can be named in place of their id. `family` is the typed event family which invalidates cached names, and `guess` builds an id when the list can't be fetched
+const _NAME_KINDS = {
+    device: {label: "device", kind: "node", family: "device", list: (session, timeout)=>session.list_devices({}, timeout)},
+    group: {label: "device group", kind: "mesh", family: "mesh", list: (session, timeout)=>session.list_device_groups(timeout)},
+    // Listing users takes admin rights, but user ids are made from the lowercased name anyway
+    user: {label: "user", kind: "user", family: "user", list: (session, timeout)=>session.list_users(timeout), guess: (session, name)=>session._id("user", name.toLowerCase())},
+    usergroup: {label: "user group", kind: "ugrp", family: "usergroup", list: (session, timeout)=>session.list_user_groups(timeout)},
+}
+
+// Objects in `items` which `value` names: by exact name, then by name ignoring case, then by the last part of their id
+let _match_name = (items, value)=>{
+    value = `${value}`
+    for (let test of [(i)=>i.name === value, (i)=>`${i.name}`.toLowerCase() === value.toLowerCase(), (i)=>_parse_id(i._id).name === value]) {
+        let found = items.filter(test)
+        if (found.length) {
+            return found
+        }
+    }
+    return []
+}
+
+/**
+ * Classes of the typed server events delivered by {@link Session#on}
+ * @readonly
+ */
+const EVENTS = {
+    ServerEvent,
+    DeviceConnectionEvent,
+    DeviceEvent,
+    UserEvent,
+    MeshEvent,
+    UserGroupEvent,
+    ConsoleOutputEvent,
+    AgentLogEvent,
+    FileOperationEvent,
+    UserMessageEvent
+}
+
+/**
+ * @readonly
+ * @enum {number} - Bitwise flags for user rights
+ * @prop {number} norights - User has no rights
+ * @prop {number} backup - 
+ * @prop {number} manageusers - User can add or remove users
+ * @prop {number} restore - 
+ * @prop {number} fileaccess - 
+ * @prop {number} update - 
+ * @prop {number} locked - 
+ * @prop {number} nonewgroups - 
+ * @prop {number} notools - 
+ * @prop {number} usergroups - 
+ * @prop {number} recordings -
+ * @prop {number} locksettings -
+ * @prop {number} allevents -
+ * @prop {number} fullrights - User has all rights above
+ */
+const USERRIGHTS = _make_bitwise_enum(['backup', 'manageusers', 'restore', 'fileaccess', 'update', 'locked', 'nonewgroups', 'notools', 'usergroups', 'recordings', 'locksettings', 'allevents'], {all_prop:"fullrights", none_prop: "norights"})
+
+/**
+ * @readonly
+ * @enum {number} - Bitwise flags for mesh rights
+ * @prop {number} norights - User has no rights
+ * @prop {number} editgroup - The right to edit the group
+ * @prop {number} manageusers - Right to manage users
+ * @prop {number} managedevices - Right to add/remove/rename devices
+ * @prop {number} remotecontrol - Remotely control nodes
+ * @prop {number} agentconsole - Access to the agent console
+ * @prop {number} serverfiles - 
+ * @prop {number} wakedevices - Wake up devices from sleep
+ * @prop {number} notes - 
+ * @prop {number} desktopviewonly - Only view desktop; no control
+ * @prop {number} noterminal - Disable terminal
+ * @prop {number} nofiles - Disable file handling
+ * @prop {number} noamt -
+ * @prop {number} limiteddesktop -
+ * @prop {number} limitedevents -
+ * @prop {number} chatnotify -
+ * @prop {number} uninstall -
+ * @prop {number} noremotedesktop - Disable remote desktop
+ * @prop {number} remotecommands - Right to send commands to device
+ * @prop {number} resetpoweroff - Right to reset or power off node
+ * @prop {number} fullrights - User has all rights above
+ */
+const MESHRIGHTS = _make_bitwise_enum(["editgroup", "manageusers", "managedevices", "remotecontrol", "agentconsole", "serverfiles", "wakedevices", "notes", "desktopviewonly", "noterminal", "nofiles", "noamt", "limiteddesktop", "limitedevents", "chatnotify", "uninstall", "noremotedesktop", "remotecommands", "resetpoweroff", "guestsharing", "devicedetails", "relay"], {all_prop:"fullrights", all_prop_value: 0xFFFFFFFF, none_prop: "norights"})
+
+/**
+ * @readonly
+ * @enum {number} - Bitwise flags for 
+ * @prop {number} none - Use no flags
+ * @prop {number} desktopnotify - 
+ * @prop {number} terminalnotify - 
+ * @prop {number} filesnotify - 
+ * @prop {number} desktopprompt - 
+ * @prop {number} terminalprompt - 
+ * @prop {number} filesprompt - 
+ * @prop {number} desktopprivacybar - 
+ * @prop {number} all - Use all flags
+ */
+const CONSENTFLAGS = _make_bitwise_enum(["desktopnotify", "terminalnotify", "filesnotify", "desktopprompt", "terminalprompt", "filesprompt", "desktopprivacybar"], {all_prop:"all", none_prop: "none"})
+
+/**
+ * @readonly
+ * @enum {number} - Bitwise flags for features to be used in meshes
+ * @prop {number} none - Use no flags
+ * @prop {number} autoremove - 
+ * @prop {number} hostnamesync - 
+ * @prop {number} recordsessions - Allow recording of sessions
+ * @prop {number} all - Use all flags
+ */
+const MESHFEATURES = _make_bitwise_enum(["autoremove", "hostnamesync", "recordsessions"], {all_prop:"all", none_prop: "none"})
+
+/**
+ * @readonly
+ * @enum {string} - String constants used to determine which type of device share to create
+ * @prop {string} desktop
+ * @prop {string} terminal
+ */
+const SHARINGTYPE = _make_enum(["desktop", "terminal"], {use_string: true})
+
+/**
+ * @readonly
+ * @enum {number} - Internal enum used to map SHARINGTYPE to the number used by MeshCentral
+ * @prop {number} desktop
+ * @prop {number} terminal
+ */
 const SHARINGTYPENUM = _make_enum(["desktop", "terminal"], {start_value: 0x1})
 
 /**
@@ -270,7 +1106,110 @@ const SHARINGTYPENUM = _make_enum(["desktop", "terminal"], {start_value: 0x1})
  */
 const ICON = _make_enum(["desktop", "latop", "phone", "server", "htpc", "router", "embedded", "virtual"], {start_value: 0x1})
 
+// Commands which only read state from the server, so it is safe to send them again after a reconnect
+const _IDEMPOTENT_ACTIONS = new Set(["serverinfo", "users", "wssessioncount", "usergroups", "meshes", "nodes", "events", "getnetworkinfo", "lastconnect", "getsysinfo", "getDeviceDetails", "deviceShares", "authcookie"])
+
+// Fields which the server copies from a command into its answer, for the commands it answers without a response id.
+// They tell the answers to concurrent commands apart. Commands missing from here are sent one at a time instead.
+const _ANSWER_KEYS = {getnetworkinfo: ["nodeid"], lastconnect: ["nodeid"], deviceShares: ["nodeid"]}
+
+let _default_transport = (url, options)=>new ws(url, options)
+
+const _RECONNECT_DEFAULTS = {max_attempts: Infinity, initial_delay: 1000, max_delay: 30000, factor: 2, jitter: 0.5, requeue: false}
+
+const _KEEPALIVE_DEFAULTS = {interval: 30000, timeout: 90000}
+
+const _CTRL_CHANNEL = "102938"
+
+// Bytes of unread output a shell holds before it stops reading from the device
+const _SHELL_BUFFER_LIMIT = 1 << 20
+
+// Characters of output a command stream holds for iterating until iteration starts
+const _COMMAND_STREAM_BUFFER_LIMIT = 1 << 20
+
+const _SHELL_ANSI_MODES = ["raw", "strip", "screen"]
+
+// Complete escape sequences: CSI with its parameters, intermediates and final byte, OSC ended by BEL or ST, DCS, SOS, PM and APC strings ended by ST, and short ESC sequences
+const _ANSI_SEQUENCE = /\x1b(?:\[([0-?]*)([ -\/]*)([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[P^_X][\s\S]*?\x1b\\|[ -\/]*([0-OQ-WYZ\\\x60-~]))/g
+// An escape sequence cut off at the end of a frame, to be finished by the next one
+const _ANSI_PARTIAL = /\x1b(?:\[[0-?]*[ -\/]*|\][^\x07\x1b]*\x1b?|[P^_X](?:[^\x1b]|\x1b(?!\\))*\x1b?|[ -\/]*)$/
+// Longest cut off sequence held back before giving up on it ever being finished
+const _ANSI_PARTIAL_LIMIT = 4096
+
+// Splits terminal output into text and escape sequences. `rest` is an unfinished sequence at the end, which should be put in front of the next output.
+let _ansi_split = (text)=>{
+    let tokens = [],
+        last = 0
+    for (let m of text.matchAll(_ANSI_SEQUENCE)) {
+        if (m.index > last) {
+            tokens.push({text: text.slice(last, m.index)})
+        }
+        tokens.push({sequence: m[0], params: m[1], intermediates: m[2], final: m[3] || null, esc: m[4] || null})
+        last = m.index + m[0].length
+    }
+    let tail = text.slice(last),
+        rest = ""
+    let partial = tail.match(_ANSI_PARTIAL)
+    if (partial !== null && partial[0].length <= _ANSI_PARTIAL_LIMIT) {
+        rest = partial[0]
+        tail = tail.slice(0, partial.index)
+    }
+    if (tail) {
+        tokens.push({text: tail})
+    }
+    return {tokens: tokens, rest: rest}
+}
+
+// Terminal output with escape sequences and control characters other than tab, newline, carriage return and backspace taken out
+let _ansi_text = (tokens)=>tokens.filter((t)=>t.text !== undefined).map((t)=>t.text.replace(/[\x00-\x07\x0b\x0c\x0e-\x1f\x7f]/g, "")).join("")
+
+// Pings a socket whenever it has been quiet for a while, and gives up on it when nothing at all has come back for too long
+class _Heartbeat {
+    constructor(sock, {interval, timeout}, on_dead, ctrl_channel=false) {
+        this._sock = sock
+        this._timeout = timeout
+        this._on_dead = on_dead
+        this._ctrl_channel = ctrl_channel
+        this.last_seen = Date.now()
+        this.paused = false
+        let seen = ()=>{ this.last_seen = Date.now() }
+        sock.on("message", seen)
+        sock.on("pong", seen)
+        sock.on("close", ()=>this.stop())
+        this._timer = setInterval(this._check.bind(this), interval)
+    }
+
+    stop() {
+        clearInterval(this._timer)
+    }
+
+    _check() {
+        if (this.paused) {
+            this.last_seen = Date.now()
+            return
+        }
+        if (Date.now() - this.last_seen >= this._timeout) {
+            this.stop()
+            this._on_dead()
+            return
+        }
+        try {
+            if (this._sock.ping) {
+                this._sock.ping()
+            }
+            // Relay pings travel all the way to the agent, so they also catch a dead agent behind a live server
+            if (this._ctrl_channel) {
+                this._sock.send(JSON.stringify({ctrlChannel: _CTRL_CHANNEL, type: "ping"}))
+            }
+        } catch (err) {
+            // The socket is closing, and its close event will stop us
+        }
+    }
+}
+
 /** Class for MeshCentral Session 
+ *
+ * The trailing `timeout` argument of every method takes either milliseconds or an `AbortSignal`. Aborting the signal rejects the call with the signal's reason, or a {@link TimeoutError} for signals made by `AbortSignal.timeout()`. Either way, everything the call was waiting on is cleaned up. Use `AbortSignal.any()` to combine a signal with a timeout.
  * @prop {_Deferred} initialized - Promise which is resolved when session is initialized, and rejected upon failure
  * @prop {bool} alive - Whether the session is currently alive*/
 class Session {
@@ -281,13 +1220,27 @@ class Session {
      * @param {string} [options.user=null] - Username of to use for connecting. Can also be username generated from token.
      * @param {string} [options.domain=null] - Domain to connect to
      * @param {string} [options.password=null] - Password with which to connect. Can also be password generated from token.
-     * @param {string} [options.loginkey=null] - Key from already handled login. Overrides username/password.
+     * @param {string|Buffer} [options.loginkey=null] - Login key of the server, as a hex string, a path to a file containing it or the raw key. Overrides username/password. The user defaults to "admin".
      * @param {string} [options.proxy=null] - "url:port" to use for proxy server
-     * @param {string} [options.token=null] - Login token. This appears to be superfluous
+     * @param {string} [options.token=null] - Two-factor authentication code to send with the first login attempt
+     * @param {Session~OtpProvider} [options.otp_provider=null] - Called when the server asks for a two-factor authentication code, after which the login is retried with the answer
+     * @param {string} [options.otp_secret=null] - Base32 TOTP secret of the account. Codes are generated from it whenever the server asks for one.
      * @param {string} [options.ignoreSSL=false] - Ignore SSL errors
+     * @param {boolean|Object} [options.reconnect=false] - Reconnect automatically when the connection drops after the session has initialized. Pass an object instead of `true` to tune the behavior.
+     * @param {number} [options.reconnect.max_attempts=Infinity] - Give up after this many consecutive failed attempts
+     * @param {number} [options.reconnect.initial_delay=1000] - Milliseconds to wait before the first attempt
+     * @param {number} [options.reconnect.max_delay=30000] - Upper bound in milliseconds for the delay between attempts
+     * @param {number} [options.reconnect.factor=2] - Multiplier applied to the delay after every failed attempt
+     * @param {number} [options.reconnect.jitter=0.5] - Fraction of each delay which is randomized, so many clients don't reconnect in lockstep
+     * @param {boolean} [options.reconnect.requeue=false] - Resend commands which only read data and were in flight when the connection dropped, instead of failing them
+     * @param {number} [options.default_timeout=null] - Milliseconds after which requests fail with a {@link TimeoutError}, for every call which isn't given its own `timeout`. File transfers and shell reads are exempt, since how long they take depends on their size.
+     * @param {boolean|Object} [options.keepalive=false] - Ping the control socket and every tunnel, and treat them as dead once nothing has been received for too long. A dead socket is closed, which fails any request in flight with a {@link SocketError}, or triggers `reconnect` if enabled. Pass an object instead of `true` to tune the behavior.
+     * @param {number} [options.keepalive.interval=30000] - Milliseconds between pings
+     * @param {number} [options.keepalive.timeout=90000] - Milliseconds without receiving anything after which a socket is considered dead
+     * @param {function} [options.transport=null] - Function taking `(url, options)` and returning a websocket-like object, used for the control socket and every tunnel. Use this with {@link SessionRecorder} or {@link ReplayTransport}. Defaults to a plain websocket.
      * @returns {Session} Instance of Session
      */
-    constructor(url, {user=null, domain=null, password=null, loginkey=null, proxy=null, token=null, ignoreSSL=false}) {
+    constructor(url, {user=null, domain=null, password=null, loginkey=null, proxy=null, token=null, otp_provider=null, otp_secret=null, ignoreSSL=false, default_timeout=null, reconnect=false, keepalive=false, transport=null}) {
         if (url.length < 5 || (!url.startsWith('wss://') && (!url.startsWith('ws://')))) {
             throw Error("Invalid URL")
         }
@@ -295,32 +1248,12 @@ class Session {
             url += '/'
         }
         url += 'control.ashx'
-        if (user == null || (password == null && loginkey == null)) {
+        if (loginkey == null && (user == null || password == null)) {
             throw Error("No login credentials given")
         }
         if (loginkey) {
-            try {
-                loginkey = fs.readFileSync(loginkey)
-            } catch (err) {
-                if (err.code == "ENOENT") {
-
-                }
-                else {
-                    throw err
-                }
-            }
-            if (loginkey.length != 160) { 
-                throw Error("Invalid login key")
-            }
-            loginkey = Buffer.from(loginkey, 'hex')
-            if (ckey.length != 80) {
-                throw Error("Invalid login key.")
-            }
-            let domainid = '',
-                username = 'admin'
-            if (domain != null) { domainid = domain }
-            if (user != null) { username = user }
-            url += '?auth=' + encodeCookie({ userid: 'user/' + domainid + '/' + username, domainid: domainid }, loginkey);
+            loginkey = _read_login_key(loginkey)
+            if (user == null) { user = 'admin' }
         }
         if (token != null) {
             token = ',' + Buffer.from('' + token).toString('base64');
@@ -331,16 +1264,41 @@ class Session {
         this._domain = domain
         this._password = password
         this._token = token
+        this._otp_provider = otp_provider
+        this._otp_secret = otp_secret
+        this._otp_code = null
+        this._sent_token = false
+        this._auth_failure = null
         this._loginkey = loginkey
         this._sock = null
         this._socket_open = new _Deferred()
-        this._inflight = new Set()
+        this._inflight = new Map()
+        // Which command each response answered, for the errors built from them
+        this._answered = new WeakMap()
+        this._waiting = {}
+        this._turns = {}
+        // Console output only says which device it came from, so commands on a device take turns
+        this._console_turns = {}
         this._file_tunnels = {}
         this._shell_tunnels = {}
         this._smart_shell_tunnels = {}
         this._ignoreSSL = ignoreSSL
+        this._default_timeout = default_timeout
+        this._transport = transport || _default_transport
+        this._reconnect = reconnect ? Object.assign({}, _RECONNECT_DEFAULTS, reconnect === true ? {} : reconnect) : null
+        this._keepalive = keepalive ? Object.assign({}, _KEEPALIVE_DEFAULTS, keepalive === true ? {} : keepalive) : null
+        this._reconnect_attempts = 0
+        this._reconnect_timer = null
+        this._reconnecting = false
+        this._closing = false
 
         this._eventer = new EventEmitter()
+        this._typed_eventer = new EventEmitter()
+
+        // Lists used to look up names, which go stale when the objects change or while disconnected
+        this._names = {}
+        this._eventer.on("server_event", (data)=>this._names_changed(data))
+        this._eventer.on("reconnected", ()=>{ this._names = {} })
 
         this.initialized = new _Deferred()
 
@@ -359,10 +1317,18 @@ class Session {
      * @param {string} [options.user=null] - Username of to use for connecting. Can also be username generated from token.
      * @param {string} [options.domain=null] - Domain to connect to
      * @param {string} [options.password=null] - Password with which to connect. Can also be password generated from token.
-     * @param {string} [options.loginkey=null] - Key from already handled login. Overrides username/password.
+     * @param {string|Buffer} [options.loginkey=null] - Login key of the server, as a hex string, a path to a file containing it or the raw key. Overrides username/password.
      * @param {string} [options.proxy=null] - "url:port" to use for proxy server
-     * @param {string} [options.token=null] - Login token. This appears to be superfluous
+     * @param {string} [options.token=null] - Two-factor authentication code to send with the first login attempt
+     * @param {Session~OtpProvider} [options.otp_provider=null] - Called when the server asks for a two-factor authentication code
+     * @param {string} [options.otp_secret=null] - Base32 TOTP secret of the account
+     * @param {boolean|Object} [options.reconnect=false] - Reconnect automatically when the connection drops. See {@link Session} for details.
+     * @param {number} [options.default_timeout=null] - Milliseconds after which requests time out, unless given their own `timeout`
+     * @param {boolean|Object} [options.keepalive=false] - Detect dead connections by pinging them. See {@link Session} for details.
+     * @param {function} [options.transport=null] - Function taking `(url, options)` and returning a websocket-like object. See {@link Session} for details.
      * @returns {Session} Instance of Session which has been initialized
+     * @throws {AuthenticationError} The server rejected the credentials
+     * @throws {TwoFactorError} The server asked for a two-factor authentication code, and none was available or it was wrong
      */
     static async create(...args) {
         let s = new this(...args)
@@ -370,6 +1336,12 @@ class Session {
         return s
     }
 
+    /**
+     * @callback Session~OtpProvider
+     * @param {Object} challenge - The server's challenge. `email2fa`, `sms2fa` and `msg2fa` show which other kinds of two-factor authentication the account has, and `email2fasent` or `sms2fasent` show whether a code has just been sent that way.
+     * @returns {string|Object|Promise<string|Object>} The code, or `{secret}` with the base32 TOTP secret to generate the code from. Return nothing to give up.
+     */
+
     _on_verify_server(clientName, certs) { return null; }
 
     _initialize() {
@@ -383,68 +1355,238 @@ class Session {
             options.agent = new https_proxy_agent(urllib.parse(this._proxy))
         }
         if (this._password) {
-            let token = this._token || ""
+            let token = ""
+            if (this._otp_code !== null) {
+                token = ',' + Buffer.from('' + this._otp_code).toString('base64')
+            } else if (this._token && !this.initialized.resolved) {
+                // A fixed code will have expired by the time we reconnect
+                token = this._token
+            }
+            this._otp_code = null
+            this._sent_token = token !== ""
             options.headers = { 'x-meshauth': Buffer.from('' + this._user).toString('base64') + ',' + Buffer.from('' + this._password).toString('base64') + token }
         }
-        this._sock = new ws(this.url, options)
+        let url = this.url
+        if (this._loginkey) {
+            // Cookies expire within minutes, so every connection needs a fresh one
+            url += '?auth=' + this._login_cookie()
+        }
+        let sock = this._sock = this._create_socket(url, options)
 
-        this._sock.on("open", () => {
+        sock.on("open", () => {
             this._socket_open.resolve()
             this.alive = true
+            this._start_heartbeat(sock)
         })
-        this._sock.on('close', (arg, arg2) => {
-            if (!this.initialized.resolved) {
-                this.initialized.reject("Closed")
-            }
+        sock.on('close', (arg, arg2) => {
+            // Ignore sockets which have already been replaced by a reconnect
+            if (sock !== this._sock) { return }
             this.alive = false
-            for (let id of this._inflight) {
-                this._eventer.emit(id, new SocketError("Socket Closed"))
+            if (this._auth_failure !== null) {
+                let failure = this._auth_failure
+                this._auth_failure = null
+                this._login_failed(failure)
+                return
             }
-            this._eventer.emit("close", new SocketError("Socket Closed"))
-            for (let tunnels of [this._file_tunnels, this._shell_tunnels, this._smart_shell_tunnels]) {
-                for (let [, tunnel] of Object.entries(tunnels)) {
-                    tunnel.close()
-                }
+            if (this._reconnecting) {
+                this._schedule_reconnect()
+                return
+            }
+            if (this._should_reconnect()) {
+                this._connection_lost()
+                return
+            }
+            if (!this.initialized.resolved) {
+                this.initialized.reject(new SocketError("Socket Closed"))
             }
+            this._closed(new SocketError("Socket Closed"))
         })
-        this._sock.on('error', (err) => {
-            this._socket_open.reject(err.code)
-            this.initialized.reject(err.code)
+        sock.on('error', (err) => {
+            if (sock !== this._sock) { return }
+            this._socket_open.reject(new SocketError("Socket Error", err.code))
             this.alive = false
-            for (let id of this._inflight) {
+            // A close event always follows, which decides whether to try again
+            if (this._reconnecting || this._should_reconnect()) { return }
+            this.initialized.reject(new SocketError("Socket Error", err.code))
+            for (let id of this._inflight.keys()) {
                 this._eventer.emit(id, new SocketError("Socket Error"))
             }
+            this._fail_waiting(new SocketError("Socket Error"))
             this._eventer.emit("close", new SocketError("Socket Error"))
         })
-        this._sock.on('message', this._receive_message.bind(this))
+        sock.on('message', this._receive_message.bind(this))
     }
 
-    _receive_message(raw_data) {
-        var data = null;
-        this._eventer.emit("raw", raw_data)
-        try {
-            data = JSON.parse(raw_data)
-        } catch (err) {
-            return
+    _start_heartbeat(sock, ctrl_channel=false, on_dead=null) {
+        if (this._keepalive === null) {
+            return null
         }
-        if (data.action == "serverinfo") {
-            this._currentDomain = data.serverinfo.domain;
-            this._server_info = data.serverinfo
-            return
-        }
-        if (data.action == "userinfo") {
-            this._user_info = data.userinfo
-            this.initialized.resolve()
-            return
+        return new _Heartbeat(sock, this._keepalive, on_dead || (()=>{
+            this.alive = false
+            // The close event which follows fails everything in flight, or reconnects
+            sock.terminate()
+        }), ctrl_channel)
+    }
+
+    _login_cookie() {
+        let domainid = this._domain || ''
+        // User ids are always lower case on the server
+        return _encode_cookie({ userid: 'user/' + domainid + '/' + this._user.toLowerCase(), domainid: domainid }, this._loginkey)
+    }
+
+    async _get_otp_code(challenge) {
+        let answer = this._otp_provider ? await this._otp_provider(challenge) : {secret: this._otp_secret}
+        if (answer && answer.secret) {
+            return _totp(answer.secret)
         }
-        if (data.action == "event" || data.action == "msg" || data.action == "interuser") {
-            this._eventer.emit("server_event", data)
+        return answer ? `${answer}` : null
+    }
+
+    async _login_failed(failure) {
+        let challenge = Object.assign({}, failure),
+            err
+        delete challenge.action
+        if (failure.msg == "tokenrequired") {
+            if (this._sent_token) {
+                err = new TwoFactorError("Invalid two-factor authentication code", "invalid", challenge)
+            } else {
+                let code = null
+                try {
+                    if (this._otp_provider || this._otp_secret) {
+                        code = await this._get_otp_code(challenge)
+                    }
+                    if (code && !this._closing) {
+                        this._otp_code = code
+                        this._socket_open = new _Deferred()
+                        this._initialize()
+                        return
+                    }
+                    err = new TwoFactorError("Two-factor authentication code required", "missing", challenge)
+                } catch (e) {
+                    err = e
+                }
+            }
+        } else {
+            err = new AuthenticationError(`Login failed: ${failure.msg || failure.cause}`)
+        }
+        // Trying again can't fix bad credentials, so this ends a reconnect as well
+        if (this._reconnecting) {
+            this._reconnecting = false
+            this._eventer.emit("gave_up", {attempts: this._reconnect_attempts})
+        }
+        this.initialized.reject(err)
+        this._closed(err)
+    }
+
+    _create_socket(url, options) {
+        return this._transport(url, options)
+    }
+
+    _should_reconnect() {
+        return this._reconnect !== null && !this._closing && this.initialized.resolved
+    }
+
+    // Fail everything which depends on the connection and tell listeners that we are done for good
+    _closed(err) {
+        for (let id of this._inflight.keys()) {
+            this._eventer.emit(id, err)
+        }
+        this._fail_waiting(err)
+        this._eventer.emit("close", err)
+        this._close_tunnels()
+    }
+
+    _close_tunnels() {
+        for (let tunnels of [this._file_tunnels, this._shell_tunnels, this._smart_shell_tunnels]) {
+            for (let [, tunnel] of Object.entries(tunnels)) {
+                tunnel.close()
+            }
+        }
+    }
+
+    _connection_lost() {
+        // Commands which are kept in _inflight get sent again once we are reconnected
+        for (let [id, command] of this._inflight) {
+            if (!this._reconnect.requeue || !_IDEMPOTENT_ACTIONS.has(command.action)) {
+                this._eventer.emit(id, new SocketError("Socket Closed"))
+            }
+        }
+        // Nothing says which command an answer belongs to, so these can't be sent again
+        this._fail_waiting(new SocketError("Socket Closed"))
+        // Tunnels are relayed through the server, so they are gone with it
+        this._close_tunnels()
+        this._reconnecting = true
+        this._reconnect_attempts = 0
+        this._schedule_reconnect()
+    }
+
+    _schedule_reconnect() {
+        let {max_attempts, initial_delay, max_delay, factor, jitter} = this._reconnect
+        if (this._reconnect_attempts >= max_attempts) {
+            this._reconnecting = false
+            this._eventer.emit("gave_up", {attempts: this._reconnect_attempts})
+            this._closed(new SocketError("Socket Closed"))
+            return
+        }
+        let delay = Math.min(max_delay, initial_delay * factor**this._reconnect_attempts)
+        delay -= delay * jitter * Math.random()
+        this._reconnect_attempts++
+        this._eventer.emit("reconnecting", {attempt: this._reconnect_attempts, delay: delay})
+        this._reconnect_timer = setTimeout(()=>{
+            this._reconnect_timer = null
+            this._socket_open = new _Deferred()
+            this._initialize()
+        }, delay)
+    }
+
+    _reconnected() {
+        let attempts = this._reconnect_attempts
+        this._reconnecting = false
+        this._reconnect_attempts = 0
+        for (let command of this._inflight.values()) {
+            this._sock.send(JSON.stringify(command))
+        }
+        this._eventer.emit("reconnected", {attempts: attempts})
+    }
+
+    _receive_message(raw_data) {
+        var data = null;
+        this._eventer.emit("raw", raw_data)
+        try {
+            data = JSON.parse(raw_data)
+        } catch (err) {
+            return
+        }
+        if (data.action == "close" && data.cause == "noauth") {
+            // The server closes the socket right after this, which is when we decide what to do
+            this._auth_failure = data
+            return
+        }
+        if (data.action == "serverinfo") {
+            this._currentDomain = data.serverinfo.domain;
+            this._server_info = data.serverinfo
+            return
+        }
+        if (data.action == "userinfo") {
+            this._user_info = data.userinfo
+            if (this._reconnecting) {
+                this._reconnected()
+            }
+            this.initialized.resolve()
+            return
+        }
+        if (data.action == "event" || data.action == "msg" || data.action == "interuser") {
+            this._eventer.emit("server_event", data)
+            if (this._typed_eventer.eventNames().length) {
+                this._emit_typed(data)
+            }
         }
         if (data.responseid || data.tag) {
             this._eventer.emit(data.responseid || data.tag, data)
         }
         else {
             // Some events don't user their response id, they just have the action. This should be fixed eventually.
+            // The commands waiting for these are matched up in _answer
             // Broken commands include:
             //      meshes
             //      nodes
@@ -453,6 +1595,7 @@ class Session {
             //      getsysinfo
             //      getDeviceDetails
             // console.log(`emitting ${data.action}`)
+            this._answer(data)
             this._eventer.emit(data.action, data)
         }
     }
@@ -467,6 +1610,14 @@ class Session {
      * Close Session
      */
     close() {
+        this._closing = true
+        if (this._reconnect_timer !== null) {
+            // Waiting between attempts, so there is no socket left to emit a close event for us
+            clearTimeout(this._reconnect_timer)
+            this._reconnect_timer = null
+            this._reconnecting = false
+            this._closed(new SocketError("Socket Closed"))
+        }
         this._sock.close()
     }
 
@@ -486,6 +1637,22 @@ class Session {
         return this._user_info
     }
 
+    // Turns the trailing `timeout` argument of a method into an AbortSignal, or null to wait forever
+    _signal(timeout, use_default=true) {
+        if (timeout instanceof AbortSignal) {
+            return timeout
+        }
+        if (timeout === null || timeout === undefined) {
+            timeout = use_default ? this._default_timeout : null
+        }
+        return timeout === null ? null : AbortSignal.timeout(timeout)
+    }
+
+    // Builds the error for a failed `response`, from its result or `message`, carrying the command it answered
+    _server_error(response, message=null) {
+        return _server_error(message ?? response.result, this._answered.get(response) || null, response)
+    }
+
     async _send_command(data, name, timeout=null) {
         if (!this.alive) {
             throw new SocketError("Socket Closed")
@@ -493,59 +1660,105 @@ class Session {
         let id
         // This fixes a very theoretical bug with hash colisions in the case of an infinite number of requests. Now the bug will only happen if there are currently 2**32-1 of the same type of request going out at the same time.
         while (this._inflight.has(id = `meshctrl_${name}_${this._get_command_id()}`)){}
-        this._inflight.add(id)
-        let p = new Promise((resolve, reject)=>{
-            try {
-                this._eventer.once(id, (data)=>{
-                    this._inflight.delete(id)
-                    if (data instanceof Error) {
-                        reject(data)
-                    } else {
-                        resolve(data)
-                    }
-                })
-            } catch (err) {
-                reject(err)
+        let command = Object.assign({}, data, { tag: id, responseid: id })
+        return _abortable(this._signal(timeout), `Command ${id}`, (resolve, reject, cleanup)=>{
+            let on_response = (data)=>{
+                if (data instanceof Error) {
+                    reject(data)
+                } else {
+                    this._answered.set(data, command)
+                    resolve(data)
+                }
             }
+            this._eventer.once(id, on_response)
+            this._inflight.set(id, command)
+            cleanup(()=>{
+                this._eventer.off(id, on_response)
+                this._inflight.delete(id)
+            })
+            this._sock.send(JSON.stringify(command))
         })
-        this._sock.send(JSON.stringify(Object.assign({}, data, { tag: id, responseid: id })))
-        if (timeout === null) {
-            return p
-        } else {
-            return Promise.race([
-                p,
-                new Promise((_r, rej) => setTimeout(rej, timeout, new TimeoutError(`Command ${id} timed out`)))
-            ])
-        }
     }
 
     // Some commands don't use response id in return, for some reason
     // Hopefully this bug gets fixed. If so, remove this function and fix everything using it
-    async _send_command_no_response_id(data, timeout=null) {
+    async _send_command_no_response_id(data, timeout=null, response_action=data.action) {
         if (!this.alive) {
             throw new SocketError("Socket Closed")
         }
-        let p = new Promise((resolve, reject)=>{
-            try {
-                this._eventer.once(data.action, (data)=>{
-                    if (data instanceof Error) {
-                        reject(data)
-                    } else {
-                        resolve(data)
+        let keys = _ANSWER_KEYS[response_action] || null
+        return _abortable(this._signal(timeout), `Command ${data.action}`, async (resolve, reject, cleanup)=>{
+            let waiter = null,
+                done = false,
+                turn = Promise.resolve(),
+                release = ()=>{}
+            if (keys === null) {
+                // Nothing in the answer says which command it belongs to, so wait until the previous one has its answer
+                turn = this._turns[response_action] || turn
+                let mine = new Promise((resolve)=>{ release = resolve })
+                this._turns[response_action] = turn.then(()=>mine)
+            }
+            cleanup(()=>{
+                done = true
+                let waiting = this._waiting[response_action]
+                if (waiter !== null && waiting && waiting.includes(waiter)) {
+                    // An answer which still comes goes to the next command waiting for one, rather than to nobody
+                    waiting.splice(waiting.indexOf(waiter), 1)
+                    if (!waiting.length) {
+                        delete this._waiting[response_action]
                     }
-                })
-            } catch (err) {
-                reject(err)
+                }
+                release()
+            })
+            await turn
+            if (done) {
+                return
+            }
+            if (!this.alive) {
+                reject(new SocketError("Socket Closed"))
+                return
+            }
+            waiter = {command: data, keys: keys || [], answer: (answer)=>{
+                if (answer instanceof Error) {
+                    reject(answer)
+                } else {
+                    this._answered.set(answer, data)
+                    resolve(answer)
+                }
+            }}
+            if (!this._waiting[response_action]) {
+                this._waiting[response_action] = []
             }
+            this._waiting[response_action].push(waiter)
+            this._sock.send(JSON.stringify(data))
         })
-        this._sock.send(JSON.stringify(data))
-        if (timeout === null) {
-            return p
-        } else {
-            return Promise.race([
-                p,
-                new Promise((_r, rej) => setTimeout(rej, timeout, new TimeoutError(`Command ${data.action} timed out`)))
-            ])
+    }
+
+    // Hands an answer without a response id to the oldest command waiting for it. Returns whether there was one.
+    _answer(data) {
+        let waiting = this._waiting[data.action]
+        if (!waiting) {
+            return false
+        }
+        // Ids may come back in full when they were sent short
+        let i = waiting.findIndex((waiter)=>waiter.keys.every((key)=>_same_id(waiter.command[key], data[key], this._id_domain())))
+        if (i < 0) {
+            return false
+        }
+        let [waiter] = waiting.splice(i, 1)
+        if (!waiting.length) {
+            delete this._waiting[data.action]
+        }
+        waiter.answer(data)
+        return true
+    }
+
+    // Fails every command without a response id which is still waiting for its answer
+    _fail_waiting(err) {
+        let waiting = this._waiting
+        this._waiting = {}
+        for (let waiter of Object.values(waiting).flat()) {
+            waiter.answer(err)
         }
     }
 
@@ -556,21 +1769,23 @@ class Session {
      * @param {Object} [options={}]
      * @param {string} [options.name=null] - User's name. For display purposes.
      * @param {string} [options.message=null] - Message to send to user in invite email
-     * @param {string} [options.meshid=null] - ID of mesh which to invite user. Overrides "group"
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} [options.meshid=null] - ID or name of mesh which to invite user. Overrides "group"
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async send_invite_email(group, email, {name=null, message=null, meshid=null}={}, timeout=null){
+        timeout = this._signal(timeout)
+        meshid = await this._resolve("group", meshid, timeout)
         var op = { action: 'inviteAgent', email: email, name: '', os: '0' }
         if (meshid) { op.meshid = meshid } else if (group) { op.meshname = group }
         if (name) { op.name = name }
         if (message) { op.msg = message }
         return this._send_command(op, "send_invite_email", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -582,20 +1797,22 @@ class Session {
      * @param {number} hours - Hours until link expires
      * @param {Object} [options={}]
      * @param {MESHRIGHTS} [options.flags=null] - Bitwise flags for MESHRIGHTS
-     * @param {string} [options.meshid=null] - ID of mesh which to invite user. Overrides "group"
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} [options.meshid=null] - ID or name of mesh which to invite user. Overrides "group"
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object>} Invite link information
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async generate_invite_link(group, hours, {flags=null, meshid=null}={}, timeout=null) {
+        timeout = this._signal(timeout)
+        meshid = await this._resolve("group", meshid, timeout)
         var op = { action: 'createInviteLink', expire: hours, flags: 0 }
         if (meshid) { op.meshid = meshid; } else if (group) { op.meshname = group; }
         if (flags !== null) { op.flags = flags; }
         return this._send_command(op, "generate_invite_link", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             delete data.tag
             delete data.responseid
@@ -606,7 +1823,7 @@ class Session {
 
     /**
      * List users on server. Admin Only.
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<Object[]>} List of users
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -615,7 +1832,7 @@ class Session {
     async list_users(timeout=null) {
         return this._send_command({action: "users"}, "list_users", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return data.users
         })
@@ -623,7 +1840,7 @@ class Session {
 
     /**
      * Get list of connected users. Admin Only.
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<Object[]>} List of user sessions
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
@@ -636,7 +1853,7 @@ class Session {
 
     /**
      * Get user groups. Admin will get all user groups, otherwise get limited user groups
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<Object[]|null>} List of groups, or null if no groups are found
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
@@ -649,7 +1866,7 @@ class Session {
 
     /**
      * Get device groups. Only returns meshes to which the logged in user has access
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<Object[]>} List of meshes
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
@@ -665,14 +1882,16 @@ class Session {
      * @param {Object} [options={}]
      * @param {boolean} [options.details=false] - Get device details
      * @param {string} [options.group=null] - Get devices from specific group by name. Overrides meshid
-     * @param {string} [options.meshid=null] - Get devices from specific group by id
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} [options.meshid=null] - Get devices from specific group by id, or its name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<Object[]>} List of nodes
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async list_devices({details=false, group=null, meshid=null}={}, timeout=null) {
         let command_list = []
+        timeout = this._signal(timeout)
+        meshid = await this._resolve("group", meshid, timeout)
         if (details) {
             command_list.push(this._send_command_no_response_id({action: "getDeviceDetails", type:"json"}, timeout))
         } else if (group) {
@@ -719,13 +1938,153 @@ class Session {
         })
     }
 
+    /**
+     * Find devices with a query. Matching happens on this side, so it works the same against any server. A query is a string of terms separated by spaces, all of which must match, such as `"tag:prod os~windows conn:online lastseen<7d"`:
+     *
+     * Term | Matches
+     * --- | ---
+     * `field:value` | Field matches the value. `*` and `?` are wildcards, case is ignored.
+     * `field~text` | Field contains the text, ignoring case
+     * `field<value`, `field<=value`, `field>value`, `field>=value` | Field compares to the value. Only for `lastseen` and `agent`.
+     * `-term` | Term does not match
+     * `word` | Name contains the word, like `name~word`
+     *
+     * Values with spaces can be quoted, as in `group:"Main Office"`. The fields are:
+     *
+     * Field | Value
+     * --- | ---
+     * `id` | Node id, with or without its "node/domain/" prefix
+     * `name` | Name of the device
+     * `os` | OS description
+     * `group` | Name of the device group, or its id
+     * `tag` | Any tag of the device
+     * `ip` | IP address, or a subnet such as `10.0.0.0/8` with `:`
+     * `conn` | `online`, `offline`, or a bitmask of connection types
+     * `lastseen` | Time since the agent was last connected, such as `90s`, `12h`, `7d` or `2w`. Online devices have 0. `lastseen:7d` is the same as `lastseen<=7d`.
+     * `agent` | Version of the agent
+     *
+     * The query may also be an object mapping fields to conditions, such as `{tag: "prod", os: /windows/i, lastseen: {$lt: "7d"}}`. A string condition works like `field:value`, a RegExp is tested against the field, an array matches when any of its conditions does, a function is called with the field's value, and an object of operators combines `$not`, `$in`, `$lt`, `$lte`, `$gt` and `$gte`. A function in place of the whole query is called with each device.
+     * @param {string|Object|function} [query=null] - The query. null finds every device.
+     * @param {Object} [options={}]
+     * @param {string|string[]} [options.sort=null] - Field, or list of fields, to sort by. Prefix a field with "-" to sort descending.
+     * @param {number} [options.limit=null] - Return at most this many devices
+     * @param {number} [options.offset=0] - Skip this many devices first, for paging through results
+     * @param {DeviceStore} [options.store=null] - Query the devices in this store instead of asking the server
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<Object[]>} Matching devices, as returned by {@link Session#list_devices}
+     * @throws {ValueError} Invalid query
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    async find_devices(query=null, {sort=null, limit=null, offset=0, store=null}={}, timeout=null) {
+        if (typeof query === "string") {
+            // Fail on a bad query before bothering the server
+            _parse_device_query(query)
+        }
+        let devices = store ? Object.values(store.devices) : await this.list_devices({}, timeout)
+        return _find_devices(devices instanceof Array ? devices : [], query, {sort: sort, limit: limit, offset: offset})
+    }
+
+    /**
+     * Look up the id of a device, device group, user or user group from its name. Every method which takes ids also takes names, so this is only needed to find ids ahead of time.
+     *
+     * Names are looked up in lists from the server, which are cached until an event shows that something in them changed. A name matches exactly first, then ignoring case, then as the last part of an id, so short ids work too. Anything containing "/" is taken to be an id and returned as it is.
+     * @param {string} value - Name or id to look up
+     * @param {string} [kind="device"] - "device", "group" for a device group, "user" or "usergroup"
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<string>} Id of the object
+     * @throws {AmbiguousNameError} More than one object has the name
+     * @throws {ValueError} No object has the name
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    async resolve(value, kind="device", timeout=null) {
+        if (!_NAME_KINDS[kind]) {
+            throw new ValueError(`Unknown kind ${kind}`)
+        }
+        return this._resolve(kind, value, timeout)
+    }
+
+    async _resolve(kind, value, timeout=null) {
+        let spec = _NAME_KINDS[kind]
+        if (value === null || value === undefined || _parse_id(value).kind !== null) {
+            return value
+        }
+        // A cached list may predate the object, so look again before giving up
+        for (let attempt = 0; attempt < 2; attempt++) {
+            let fresh = !this._names[kind]
+            let items
+            try {
+                items = await this._name_list(kind, timeout)
+            } catch (err) {
+                if (spec.guess && err instanceof ServerError) {
+                    return spec.guess(this, `${value}`)
+                }
+                throw err
+            }
+            let found = _match_name(items, value)
+            if (found.length > 1) {
+                throw new AmbiguousNameError(`"${value}" matches ${found.length} ${spec.label}s`, value, found.map((i)=>i._id))
+            }
+            if (found.length) {
+                return found[0]._id
+            }
+            if (fresh) {
+                break
+            }
+            delete this._names[kind]
+        }
+        throw new ValueError(`No ${spec.label} named "${value}"`)
+    }
+
+    async _resolve_all(kind, values, timeout=null) {
+        return Promise.all(values.map((value)=>this._resolve(kind, value, timeout)))
+    }
+
+    // Domain of the ids this session deals with, which short ids are taken to be in
+    _id_domain() {
+        return this._currentDomain ?? this._domain ?? ""
+    }
+
+    // Full id of the given kind ("node", "mesh", "user" or "ugrp") in this session's domain
+    _id(kind, id) {
+        return _format_id(kind, id, this._id_domain())
+    }
+
+    _name_list(kind, timeout=null) {
+        if (!this._names[kind]) {
+            let list = this._names[kind] = _NAME_KINDS[kind].list(this, timeout).then((items)=>{
+                return (items instanceof Array ? items : Object.values(items || {})).filter((item)=>item && item._id)
+            })
+            list.catch(()=>{
+                if (this._names[kind] === list) {
+                    delete this._names[kind]
+                }
+            })
+        }
+        return this._names[kind]
+    }
+
+    _names_changed(data) {
+        let event = data.event || {}
+        let [type] = (_EVENT_TYPES[event.etype] || {})[event.action] || []
+        // Logins and logouts don't change any names
+        if (type && !["user.login", "user.logout"].includes(type)) {
+            for (let [kind, spec] of Object.entries(_NAME_KINDS)) {
+                if (type.startsWith(`${spec.family}.`)) {
+                    delete this._names[kind]
+                }
+            }
+        }
+    }
+
     /**
      * @callback Session~CloseCallback
      * @param {SocketError} err - Error explaining the closure to the best of our ability
      */
 
     /**
-     * Listen for the socket to close
+     * Listen for the socket to close. With the `reconnect` option set, this is only called once the session is closed for good.
      * @param {Session~CloseCallback} f - Function to call when the socket closes
      */
 
@@ -733,6 +2092,49 @@ class Session {
         this._eventer.on("close", f)
     }
 
+    /**
+     * @callback Session~ReconnectingCallback
+     * @param {Object} info
+     * @param {number} info.attempt - Which attempt is about to be made, starting at 1
+     * @param {number} info.delay - Milliseconds until the attempt is made
+     */
+
+    /**
+     * Listen for the session to start a reconnect attempt. Only called when the `reconnect` option is set.
+     * @param {Session~ReconnectingCallback} f - Function to call before every attempt
+     */
+    on_reconnecting(f) {
+        this._eventer.on("reconnecting", f)
+    }
+
+    /**
+     * @callback Session~ReconnectedCallback
+     * @param {Object} info
+     * @param {number} info.attempts - How many attempts it took to reconnect
+     */
+
+    /**
+     * Listen for the session to be reconnected and logged in again. Listeners added with {@link Session#listen_to_events} stay attached through a reconnect.
+     * @param {Session~ReconnectedCallback} f - Function to call once reconnected
+     */
+    on_reconnected(f) {
+        this._eventer.on("reconnected", f)
+    }
+
+    /**
+     * @callback Session~GaveUpCallback
+     * @param {Object} info
+     * @param {number} info.attempts - How many attempts were made
+     */
+
+    /**
+     * Listen for the session to run out of reconnect attempts. The close callbacks are called right after this.
+     * @param {Session~GaveUpCallback} f - Function to call when giving up
+     */
+    on_gave_up(f) {
+        this._eventer.on("gave_up", f)
+    }
+
     /**
      * @callback Session~EventCallback
      * @param {Object} data - Raw event data from the server
@@ -740,9 +2142,21 @@ class Session {
 
     /**
      * Listen to events from the server
+     *
+     * A filter is either a function, which is given the event and returns whether it matches, or an object which the event must deep-match. Keys of the object can be dotted paths such as `"event.nodeid"`. Each value is one of:
+     * - A plain value, which must be equal
+     * - A nested object, which must deep-match in turn
+     * - A regex, which must match a string or number
+     * - A function, which is given the value and returns whether it matches
+     * - An array, which must match a list of the same length item by item
+     * - A set, which the list must contain every member of
+     * - An object of operators: `$in` (a list of conditions, any of which matches), `$not` (a condition which must not match), `$exists` (whether the value is present), and `$gt`, `$gte`, `$lt` and `$lte` for ranges
+     *
+     * For example `{"event.etype": "node", "event.action": {$in: ["changenode", "removenode"]}, "event.msg": {$not: /^Test/}}`
      * @param {Session~EventCallback} f - Function to call when an event occurs
-     * @param {Object} [filter=null] - Object to filter events with. Only trigger for events that deep-match this object. Use sets for "array.contains" and arrays for equality of lists.
+     * @param {Object|function} [filter=null] - Filter which events must match to trigger `f`
      * @return {function} - Function used for listening. Use this to stop listening to events if you want that.
+     * @throws {ValueError} When the filter has an unknown operator, as soon as an event is checked against it
      */
     listen_to_events(f, filter=null) {
         let f2 = (data)=>{
@@ -766,19 +2180,91 @@ class Session {
         this._eventer.off("server_event", f)
     }
 
+    /**
+     * @callback Session~TypedEventCallback
+     * @param {ServerEvent} event - The event, as an instance of the class for its type
+     */
+
+    /**
+     * Listen to typed server events. Events are classified from the raw server events into these types, with ids made full and a timestamp added:
+     *
+     * Type | Class
+     * --- | ---
+     * `device.connected`, `device.disconnected` | {@link DeviceConnectionEvent}
+     * `device.added`, `device.changed`, `device.moved`, `device.removed` | {@link DeviceEvent}
+     * `user.login`, `user.logout`, `user.added`, `user.changed`, `user.removed` | {@link UserEvent}
+     * `user.message` | {@link UserMessageEvent}
+     * `mesh.added`, `mesh.changed`, `mesh.removed` | {@link MeshEvent}
+     * `usergroup.added`, `usergroup.changed`, `usergroup.removed` | {@link UserGroupEvent}
+     * `console.output` | {@link ConsoleOutputEvent}
+     * `agent.log` | {@link AgentLogEvent}
+     * `file.mkdir`, `file.rm`, `file.rename`, `file.upload`, `file.download` | {@link FileOperationEvent}
+     * `other` | {@link ServerEvent}
+     *
+     * All classes are exported in `EVENTS`.
+     * @param {string} type - Type of event to listen to, `"device.*"` for every type starting with "device.", or `"*"` for every event
+     * @param {Session~TypedEventCallback} f - Function to call when an event occurs
+     * @return {Session~TypedEventCallback} `f`, to stop listening with {@link Session#off}
+     */
+    on(type, f) {
+        this._typed_eventer.on(type, f)
+        return f
+    }
+
+    /**
+     * Stop listening to typed server events
+     * @param {string} type - Type which was passed to {@link Session#on}
+     * @param {Session~TypedEventCallback} f - Function which was passed to {@link Session#on}
+     */
+    off(type, f) {
+        this._typed_eventer.off(type, f)
+    }
+
+    _emit_typed(data) {
+        let event = _parse_event(data, this._id_domain())
+        this._typed_eventer.emit(event.type, event)
+        if (event.type.includes(".")) {
+            this._typed_eventer.emit(`${event.type.split(".")[0]}.*`, event)
+        }
+        this._typed_eventer.emit("*", event)
+    }
+
+    /**
+     * Iterate over events from the server with `for await`. Events which arrive while the loop is busy are buffered. The iteration ends when the session closes or the loop exits, and throws the signal's reason if it aborts.
+     * @example
+     * for await (let data of session.events({"event.etype": "node"}, {signal: AbortSignal.timeout(60000)})) {
+     *     console.log(data.event.msg)
+     * }
+     * @param {Object|function} [filter=null] - Filter which events must match. See {@link Session#listen_to_events} for the filter language.
+     * @param {Object} [options={}]
+     * @param {AbortSignal} [options.signal=null] - Signal which ends the iteration
+     * @param {number} [options.buffer_size=1000] - Most events to buffer while the loop is busy
+     * @param {string} [options.overflow="error"] - What to do when the buffer is full. "error" throws an {@link EventOverflowError} once the buffered events have been read, "drop_oldest" and "drop_newest" discard events and count them in `dropped`.
+     * @return {_EventStream} Async iterator of events
+     */
+    events(filter=null, {signal=null, buffer_size=1000, overflow="error"}={}) {
+        if (!["error", "drop_oldest", "drop_newest"].includes(overflow)) {
+            throw new ValueError(`Invalid overflow policy ${overflow}`)
+        }
+        return new _EventStream(this, filter, {signal: signal, buffer_size: buffer_size, overflow: overflow})
+    }
+
     /** 
      * List events visible to the currect user
      * @param {Object} [options={}]
-     * @param {string} [options.userid=null] - Filter by user. Overrides nodeid.
-     * @param {string} [options.nodeid=null] - Filter by node
+     * @param {string} [options.userid=null] - Filter by user, by id or name. Overrides nodeid.
+     * @param {string} [options.nodeid=null] - Filter by node, by id or name
      * @param {number} [options.limit=null] - Limit to the N most recent events
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object[]>} List of events
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async list_events({userid=null, nodeid=null, limit=null}={}, timeout=null) {
         if ((typeof limit != 'number') || (limit < 1)) { limit = null; }
+        timeout = this._signal(timeout)
+        userid = await this._resolve("user", userid, timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
 
         let cmd = null;
         if (userid) {
@@ -795,8 +2281,8 @@ class Session {
     }
 
     /** 
-     * List login tokens for current user. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * List login tokens for current user.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object[]>} List of tokens
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
@@ -808,10 +2294,10 @@ class Session {
     }
 
     /** 
-     * Create login token for current user. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
+     * Create login token for current user.
      * @param {string} name - Name of token
      * @param {number} [expire=null] - Minutes until expiration. 0 or null for no expiration.
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object>} Created token
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
@@ -819,7 +2305,7 @@ class Session {
     async add_login_token(name, expire=null, timeout=null) {
         let cmd = { action: 'createLoginToken', name: name, expire: 0 }
         if (expire) { cmd.expire = expire }
-        return this._send_command_no_response_id(cmd, timeout).then((data)=>{
+        return this._send_command_no_response_id(cmd, timeout, "loginTokenAdded").then((data)=>{
             let d = Object.assign({}, data)
             delete d.action
             return d
@@ -828,9 +2314,9 @@ class Session {
     }
 
     /** 
-     * Remove login token for current user. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
+     * Remove login token for current user.
      * @param {string} name - Name of token or token username
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object[]>} List of remaining tokens
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
@@ -839,8 +2325,9 @@ class Session {
         if (typeof names === "string") {
             names = [names]
         }
+        timeout = this._signal(timeout)
         let realnames = []
-        let tokens = await this.list_login_tokens()
+        let tokens = await this.list_login_tokens(timeout)
         for (let name of names) {
             if (!name.startsWith("~")) {
                 for (let token of tokens) {
@@ -870,7 +2357,7 @@ class Session {
      * @param {string} [options.realname=null] - User's real name
      * @param {string} [options.phone=null] - User's phone number
      * @param {USERRIGHTS} [options.rights=null] - Bitwise mask of user's rights on the server
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -890,7 +2377,7 @@ class Session {
         if (typeof realname == 'string') { op.realname = realname }
         return this._send_command(op, "add_user", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -898,7 +2385,7 @@ class Session {
 
     /** 
      * Edit an existing user
-     * @param {string} userid - Unique userid
+     * @param {string} userid - Unique userid, or user name
      * @param {Object} [options={}]
      * @param {string} [options.domain=null] - Domain to which to add the user
      * @param {string} [options.email=null] - User's email address
@@ -907,7 +2394,7 @@ class Session {
      * @param {string} [options.realname=null] - User's real name
      * @param {string} [options.phone=null] - User's phone number
      * @param {USERRIGHTS} [options.rights=null] - Bitwise mask of user's rights on the server
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -915,8 +2402,10 @@ class Session {
      */
     async edit_user(userid, {domain=null, email=null, emailverified=false, resetpass=false, realname=null, phone=null, rights=null}={}, timeout=null) {
         // Rights uses USERRIGHTS
-        if ((domain != null) && (userid.indexOf('/') < 0)) { userid = 'user/' + domain + '/' + userid; }
-        else if ((this._domain != null) && (userid.indexOf('/') < 0)) { userid = 'user/' + this._domain + '/' + userid; }
+        // User ids are made from the lowercased name, so there is nothing to look up in another domain
+        if ((domain != null) && (_parse_id(userid).kind === null)) { userid = _format_id("user", `${userid}`.toLowerCase(), domain) }
+        timeout = this._signal(timeout)
+        userid = await this._resolve("user", userid, timeout)
         let op = { action: 'edituser', userid: userid};
         if (email !== null) { op.email = email; if (emailverified) { op.emailVerified = true; } }
         if (resetpass) { op.resetNextLogin = true; }
@@ -929,7 +2418,7 @@ class Session {
         if (realname === true) { op.realname = ''; }
         return this._send_command(op, "edit_user", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -937,18 +2426,19 @@ class Session {
 
     /** 
      * Remove an existing user
-     * @param {string} userid - Unique userid
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} userid - Unique userid, or user name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async remove_user(userid, timeout=null) {
-        if ((this._domain != null) && (userid.indexOf('/') < 0)) { userid = 'user/' + this._domain + '/' + userid; }
+        timeout = this._signal(timeout)
+        userid = await this._resolve("user", userid, timeout)
         return this._send_command({ action: 'deleteuser', userid: userid }, "remove_user", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -958,7 +2448,7 @@ class Session {
      * Create a new user group
      * @param {string} name - Name of usergroup
      * @param {string} [description=null] - Description of user group
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object>} New user group
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -969,7 +2459,7 @@ class Session {
         if (this._domain) { op.domain = this._domain }
         return this._send_command(op, "add_user_group", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             delete data.action
             delete data.responseid
@@ -980,31 +2470,29 @@ class Session {
 
     /** 
      * Remove an existing user group
-     * @param {string} userid - Unique userid
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} groupid - Unique group id, or group name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async remove_user_group(groupid, timeout=null) {
-        if ((this._domain != null) && (userid.indexOf('/') < 0)) { groupid = 'ugrp/' + this._domain + '/' + groupid; }
-        if (!groupid.startsWith("ugrp/")) {
-            groupid = `ugrp//${groupid}`
-        }
+        timeout = this._signal(timeout)
+        groupid = await this._resolve("usergroup", groupid, timeout)
         return this._send_command({ action: 'deleteusergroup', ugrpid: groupid }, "remove_user_group", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
     }
 
     /** 
-     * Add user(s) to an existing user group. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {string|array} ids - Unique user id(s)
-     * @param {string} groupid - Group to add the given user to
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * Add user(s) to an existing user group. WARNING: Calling this function again for the same group before it returns may cause unintended consequences.
+     * @param {string|array} ids - Unique user id(s), or names
+     * @param {string} groupid - Group to add the given user to, or its name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<string[]>} List of users that were successfully added
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -1014,46 +2502,39 @@ class Session {
         if (typeof userids === "string") {
             userids = [userids]
         }
-        if ((this._domain != null) && (id.indexOf('/') < 0)) { groupid = 'ugrp/' + this._domain + '/' + groupid; }
-        if (!groupid.startsWith("ugrp/")) {
-            groupid = `ugrp//${groupid}`
-        }
-        return Promise.race([new Promise((resolve, reject)=>{
-            try {
-                let l = this.listen_to_events((data)=>{
-                    resolve(data.event.msgArgs[0])
-                    this.stop_listening_to_events(l)
-                }, {"event": {"etype":"ugrp"}})
-                this._send_command({ action: 'addusertousergroup', ugrpid: groupid, usernames: userids}, "add_users_to_user_group", timeout).then((data)=>{
-                    if (data.result && data.result.toLowerCase() !== "ok") {
-                        reject(new ServerError(data.result))
-                    }
-
-                })
-            } catch (err) {
-                reject(err)
+        let signal = this._signal(timeout)
+        groupid = await this._resolve("usergroup", groupid, signal)
+        // The server takes user names here, which are the last part of user ids
+        userids = (await this._resolve_all("user", userids, signal)).map((u)=>_parse_id(u).name)
+        return _abortable(signal, "add_users_to_user_group", async (resolve, reject, cleanup)=>{
+            let l = this.listen_to_events((data)=>{
+                resolve(data.event.msgArgs[0])
+            }, {"event": {"etype":"ugrp", "ugrpid": groupid}})
+            cleanup(()=>this.stop_listening_to_events(l))
+            let data = await this._send_command({ action: 'addusertousergroup', ugrpid: groupid, usernames: userids}, "add_users_to_user_group", signal)
+            if (data.result && data.result.toLowerCase() !== "ok") {
+                reject(this._server_error(data))
             }
-        }), new Promise((_r, rej)=>{if (timeout) { setTimeout(rej, timeout, new TimeoutError(`timed out`)) }})])
+        })
     }
 
     /** 
      * Remove user from an existing user group
      * @param {string} id - Unique user id
-     * @param {string} groupid - Group to remove the given user from
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} groupid - Group to remove the given user from, or its name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async remove_user_from_user_group(userid, groupid, timeout=null) {
-        if ((this._domain != null) && (id.indexOf('/') < 0)) { groupid = 'ugrp/' + this._domain + '/' + groupid; }
-        if (!groupid.startsWith("ugrp/")) {
-            groupid = `ugrp//${groupid}`
-        }
+        timeout = this._signal(timeout)
+        groupid = await this._resolve("usergroup", groupid, timeout)
+        userid = await this._resolve("user", userid, timeout)
         return this._send_command({ action: 'removeuserfromusergroup', ugrpid: groupid, userid: userid }, "remove_from_user_group", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -1061,10 +2542,10 @@ class Session {
 
     /** 
      * Add a user to an existing node
-     * @param {string|array} userids - Unique user id(s)
-     * @param {string} nodeid - Node to add the given user to
+     * @param {string|array} userids - Unique user id(s), or names
+     * @param {string} nodeid - Node to add the given user to, or its name
      * @param {MESHRIGHTS} [rights=null] - Bitwise mask for the rights on the given mesh
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -1074,11 +2555,13 @@ class Session {
         if (typeof userids === "string") {
             userids = [userids]
         }
-        userids = userids.map((u)=>u.startsWith("user//") ? u : `user//${u}`)
+        timeout = this._signal(timeout)
+        userids = await this._resolve_all("user", userids, timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         rights = rights || 0
         return this._send_command({ action: 'adddeviceuser', nodeid: nodeid, userids: userids, rights: rights}, "add_users_to_device", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -1086,9 +2569,9 @@ class Session {
 
     /** 
      * Remove users from an existing node
-     * @param {string} nodeid - Node to remove the given users from
-     * @param {string|array} userids - Unique user id(s)
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} nodeid - Node to remove the given users from, or its name
+     * @param {string|array} userids - Unique user id(s), or names
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -1096,10 +2579,12 @@ class Session {
      */
     async remove_users_from_device(nodeid, userids, timeout=null) {
         if (typeof(userids) === "string") { userids = [userids] }
-        userids = userids.map((u)=>u.startsWith("user//") ? u : `user//${u}`)
+        timeout = this._signal(timeout)
+        userids = await this._resolve_all("user", userids, timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         return this._send_command({ action: 'adddeviceuser', nodeid: nodeid, usernames: userids, rights: 0, remove: true }, "remove_users_from_device", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -1113,7 +2598,7 @@ class Session {
      * @param {boolean} [options.amtonly=false] - 
      * @param {MESHFEATURES} [options.features=0] - Bitwise features to enable on the group
      * @param {CONSENTFLAGS} [options.consent=0] - Bitwise consent flags to use for the group
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object>} New device group
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -1127,7 +2612,7 @@ class Session {
         if (consent) { op.consent = consent }
         return this._send_command(op, "add_device_group", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             delete data.result
             delete data.action
@@ -1138,15 +2623,19 @@ class Session {
 
     /** 
      * Remove an existing device group
-     * @param {string} meshid - Unique id of device group
+     * @param {string} meshid - Unique id of device group, or its name
      * @param {boolean} [isname=false] - treat "meshid" as a name instead of an id
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async remove_device_group(meshid, isname=false, timeout=null) {
+        timeout = this._signal(timeout)
+        if (!isname) {
+            meshid = await this._resolve("group", meshid, timeout)
+        }
         var op = { action: 'deletemesh', meshid: meshid};
         if (isname) {
             op.meshname = meshid
@@ -1154,7 +2643,7 @@ class Session {
         }
         return this._send_command(op, "remove_device_group", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -1162,7 +2651,7 @@ class Session {
 
     /** 
      * Edit an existing device group
-     * @param {string} meshid - Unique id of device group
+     * @param {string} meshid - Unique id of device group, or its name
      * @param {Object} [options={}]
      * @param {boolean} [options.isname=false] - treat "meshid" as a name instead of an id
      * @param {string} [options.name=null] - New name for group
@@ -1172,13 +2661,17 @@ class Session {
      * @param {string[]} [options.invite_codes=null] - Create new invite codes
      * @param {boolean} [options.backgroundonly=false] - Flag for invite codes
      * @param {boolean} [options.interactiveonly=false] - Flag for invite codes
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async edit_device_group(meshid, {isname=false, name=null, description=null, flags=null, consent=null, invite_codes=null, backgroundonly=false, interactiveonly=false}={}, timeout=null) {
+        timeout = this._signal(timeout)
+        if (!isname) {
+            meshid = await this._resolve("group", meshid, timeout)
+        }
         var op = { action: 'editmesh', meshid: meshid};
         if (isname) {
             op.meshname = meshid
@@ -1201,7 +2694,7 @@ class Session {
         }
         return this._send_command(op, "edit_device_group", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -1209,10 +2702,10 @@ class Session {
 
     /** 
      * Move a device from one group to another
-     * @param {string|array} nodeids - Unique node id(s)
-     * @param {string} meshid - Unique mesh id
+     * @param {string|array} nodeids - Unique node id(s), or names
+     * @param {string} meshid - Unique mesh id, or its name
      * @param {boolean} [isname=false] - treat "meshid" as a name instead of an id
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Boolean>} true on success
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -1220,6 +2713,11 @@ class Session {
      */
     async move_to_device_group(nodeids, meshid, isname=false, timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
+        timeout = this._signal(timeout)
+        nodeids = await this._resolve_all("device", nodeids, timeout)
+        if (!isname) {
+            meshid = await this._resolve("group", meshid, timeout)
+        }
         var op = { action: 'changeDeviceMesh', nodeids: nodeids, meshid: meshid };
         if (isname) {
             op.meshname = meshid
@@ -1227,7 +2725,7 @@ class Session {
         }
         return this._send_command(op, "move_to_device_group", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
@@ -1235,12 +2733,12 @@ class Session {
 
     /** 
      * Add a user to an existing mesh
-     * @param {string|array} userids - Unique user id(s)
-     * @param {string} meshid - Mesh to add the given user to
+     * @param {string|array} userids - Unique user id(s), or names
+     * @param {string} meshid - Mesh to add the given user to, or its name
      * @param {Object} [options={}]
      * @param {boolean} [options.isname=false] - Read meshid as a name rather than an id
      * @param {MESHRIGHTS} [options.rights=0] - Bitwise mask for the rights on the given mesh
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<object>} Object showing which were added correctly and which were not, along with their result messages
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
@@ -1250,7 +2748,11 @@ class Session {
             userids = [userids]
         }
         let original_ids = userids
-        userids = userids.map((u)=>u.startsWith("user//") ? u : `user//${u}`)
+        timeout = this._signal(timeout)
+        userids = await this._resolve_all("user", userids, timeout)
+        if (!isname) {
+            meshid = await this._resolve("group", meshid, timeout)
+        }
         var op = { action: 'addmeshuser', userids: userids, meshadmin: rights, meshid: meshid };
         if (isname) {
             op.meshname = meshid
@@ -1275,16 +2777,20 @@ class Session {
 
     /** 
      * Remove users from an existing mesh
-     * @param {string|array} userids - Unique user id(s)
-     * @param {string} meshid - Mesh to add the given user to
+     * @param {string|array} userids - Unique user id(s), or names
+     * @param {string} meshid - Mesh to add the given user to, or its name
      * @param {boolean} [isname=false] - Read meshid as a name rather than an id
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<Object>} Object showing which were removed correctly and which were not
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async remove_users_from_device_group(userids, meshid, isname=false, timeout=null) {
         let requests = []
+        timeout = this._signal(timeout)
+        if (!isname) {
+            meshid = await this._resolve("group", meshid, timeout)
+        }
         let id_obj = {meshid: meshid}
         if (isname) {
             id_obj.meshname = meshid
@@ -1293,7 +2799,7 @@ class Session {
         if (typeof(userids) === "string") { 
             userids = [userids]
         }
-        for (let userid of userids) {
+        for (let userid of await this._resolve_all("user", userids, timeout)) {
             requests.push(this._send_command(Object.assign({}, { action: 'removemeshuser', userid: userid }, id_obj), "remove_users_from_device_group", timeout))
         }
         return Promise.all(requests).then((results)=>{
@@ -1313,34 +2819,38 @@ class Session {
     /**
      * Broadcast a message to all users or a single user
      * @param {string} message - Message to broadcast
-     * @param {string} [userid=null] - Optional user to which to send the message
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string} [userid=null] - Optional user to which to send the message, by id or name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @return {Promise<boolean>} True if successful
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async broadcast(message, userid=null, timeout=null) {
+        timeout = this._signal(timeout)
+        userid = await this._resolve("user", userid, timeout)
         var op = { action: 'userbroadcast', msg: message };
         if (userid) { op.userid = userid }
         return this._send_command(op, "broadcast", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
     }
 
-    /** Get all info for a given device. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {string} nodeid - Unique id of desired node
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+    /** Get all info for a given device.
+     * @param {string} nodeid - Unique id of desired node, or its name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise} Object containing all meaningful device info
-     * @throws {ValueError} `Invalid device id` if device is not found
+     * @throws {NotFoundError} `Invalid device id` if device is not found
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async device_info(nodeid, timeout=null) {
         let requests = []
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
 
         requests.push(this._send_command({ action: 'nodes' }, "device_info", timeout))
         // requests.push(this._send_command_no_response_id({ action: "nodes" }))
@@ -1359,7 +2869,7 @@ class Session {
                 // This device does not have system information, get node information from the nodes list.
                 for (var m in nodes.nodes) {
                     for (var n in nodes.nodes[m]) {
-                        if (nodes.nodes[m][n]._id.indexOf(nodeid) >= 0) { node = nodes.nodes[m][n]; node["meshid"] = m}
+                        if (_same_id(nodes.nodes[m][n]._id, nodeid, this._id_domain())) { node = nodes.nodes[m][n]; node["meshid"] = m}
                     }
                 }
                 sysinfo["node"] = node
@@ -1369,7 +2879,7 @@ class Session {
             }
             
             if (node == null) {
-                throw new ValueError("Invalid device id")
+                throw _server_error("Invalid device id", {action: "getsysinfo", nodeid: nodeid}, sysinfo)
             }
 
             if (lastconnect != null) { node.lastconnect = lastconnect.time; node.lastaddr = lastconnect.addr; }
@@ -1379,20 +2889,22 @@ class Session {
 
 
     /** Edit properties of an existing device
-     * @param {string} nodeid - Unique id of desired node
+     * @param {string} nodeid - Unique id of desired node, or its name
      * @param {Object} [options={}]
      * @param {string} [options.name=null] - New name for device
      * @param {string} [options.description=null] - New description for device
      * @param {string|string[]} [options.tags=null] - New tags for device
      * @param {ICON} [options.icon=null] - New icon for device
      * @param {CONSENTFLAGS} [options.consent=null] - New consent flags for device
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} True if successful
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async edit_device(nodeid, {name=null, description=null, tags=null, icon=null, consent=null}={}, timeout=null) {
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         let op = { action: 'changedevice', nodeid: nodeid };
         if (name !== null) { op.name = name }
         if (description !== null) { op.desc = description }
@@ -1401,232 +2913,566 @@ class Session {
         if (consent !== null) { op.consent = consent }
         return this._send_command(op, "edit_device", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
     }
 
-    /** Run a command on any number of nodes. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {string|string[]} nodeids - Unique ids of nodes on which to run the command
+    /** Run a command on any number of nodes. Commands run through this library on the same device, including with {@link Session#stream_command} and {@link Session#run_console_command}, run one after another so their output doesn't mix.
+     * @param {string|string[]} nodeids - Unique ids of nodes on which to run the command, or names
      * @param {string} command - Command to run
      * @param {Object} [options={}]
      * @param {boolean} [options.powershell=false] - Use powershell to run command. Only available on Windows.
      * @param {boolean} [options.runasuser=false] - Attempt to run as a user instead of the root permissions given to the agent. Fall back to root if we cannot.
      * @param {boolean} [options.runasuseronly=false] - Error if we cannot run the command as the logged in user.
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
-     * @returns {Promise<Object>} Object containing mapped output of the commands by device
+     * @param {boolean} [options.structured=false] - Report each device's stdout, stderr, exit code and duration separately. The command is wrapped in a script for the shell the device runs it in: cmd or PowerShell on Windows, sh elsewhere. It runs in a shell of its own, so `exit` ends only the command: a subshell for sh, a batch file for cmd, where `%` is written `%%`, and a new process for PowerShell.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call. Includes time spent waiting for earlier commands on the same devices.
+     * @returns {Promise<Object>} Object containing mapped output of the commands by device. With `structured`, each device maps to {@link Session~CommandResult} instead.
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
-     * @throws {TimeoutError} Command timed out
+     * @throws {TimeoutError} Command timed out. Its `partial` holds the output so far by device.
      */
-    async run_command(nodeids, command, {powershell=false, runasuser=false, runasuseronly=false}={}, timeout=null) {
-        let runAsUser = 0;
-        if (runasuser) { runAsUser = 1; }
-        if (runasuseronly) { runAsUser = 2; }
+    async run_command(nodeids, command, {powershell=false, runasuser=false, runasuseronly=false, structured=false}={}, timeout=null) {
+        if (structured) {
+            return this._run_structured(nodeids, command, {powershell: powershell, runasuser: runasuser, runasuseronly: runasuseronly}, timeout)
+        }
+        return this._command_output(this.stream_command(nodeids, command, {powershell: powershell, runasuser: runasuser, runasuseronly: runasuseronly}, timeout))
+    }
+
+    /**
+     * @typedef {Object} Session~CommandResult
+     * @prop {string} stdout - Standard output of the command
+     * @prop {string} stderr - Standard error of the command
+     * @prop {?number} exit_code - Exit code of the command, or null if it didn't report one
+     * @prop {?number} duration - Milliseconds from sending the command until the device finished, or null if it didn't
+     * @prop {Error} [error] - Why {@link Session#run_script} couldn't run the script on the device, if it couldn't
+     */
+
+    async _run_structured(nodeids, command, {powershell=false, runasuser=false, runasuseronly=false}={}, timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
-        let match_nodeid = (id, ids)=>{
-            for (let nid of ids) {
-                if (nid === id) {
-                    return nid
-                }
-                if (nid.slice(6) === id) {
-                    return nid
-                }
-                if (`node//${nid}` === id) {
-                    return nid
-                }
+        let signal = this._signal(timeout)
+        let ids = await this._resolve_all("device", nodeids, signal)
+        let devices = await this._name_list("device", signal)
+        let marker = `meshctrl_${this._getRandomHex(8)}`
+        // Devices with different shells need differently wrapped commands
+        let shells = _.groupBy(nodeids.map((key, i)=>({key: key, id: ids[i]})), ({id})=>{
+            return _command_shell(devices.find((d)=>_same_id(d._id, id, this._id_domain())), powershell)
+        })
+        let streams = Object.entries(shells).map(([shell, items])=>{
+            let stream = this.stream_command(items.map(({id})=>id), _COMMAND_WRAPPERS[shell](command, marker), {powershell: shell === "powershell", runasuser: runasuser, runasuseronly: runasuseronly}, signal)
+            return {stream: stream, items: items}
+        })
+        let output = {},
+            reason = null
+        for (let {stream, items} of streams) {
+            let results = await stream.result
+            for (let {key, id} of items) {
+                output[key] = Object.assign(_parse_wrapped(results[id].output, marker), {duration: results[id].duration})
             }
+            reason = reason || stream.reason
         }
-        return Promise.race([new Promise(async (resolve, reject)=>{
-            try {
-                let result = Object.fromEntries(nodeids.map((n)=>[n, {complete: false, result: []}]));
-                let l = this.listen_to_events((data)=>{
-                    if (match_nodeid(data.nodeid, nodeids)) {
-                        if (data.value === "Run commands completed.") {
-                            result[match_nodeid(data.nodeid, nodeids)] = Object.assign((result[match_nodeid(data.nodeid, nodeids)] || {}), {complete: true});
-                            if (_.every(Object.entries(result).map(([key, o])=>o.complete))) {
-                                resolve(Object.fromEntries(Object.entries(result).map(([key, o])=>[key, o.result.join("")])));
-                                this.stop_listening_to_events(l);
-                            }
-                        } else if (data.value.startsWith("Run commands")) {
-                            return
-                        }
-                        result[match_nodeid(data.nodeid, nodeids)].result.push(data.value);
-                    }
-                }, {action: "msg", type: "console"});
-                let data = await this._send_command({ action: 'runcommands', nodeids: nodeids, type: (powershell ? 2 : 0), cmds: command, runAsUser: runAsUser }, "run_command", timeout)
-                if (data.result && data.result.toLowerCase() !== "ok") {
-                    reject(new ServerError(data.result));
-                }
-            } catch (err) {
-                reject(err)
+        if (reason !== null) {
+            if (reason instanceof TimeoutError) {
+                reason.partial = output
             }
-        }), new Promise((_r, rej)=>{if (timeout) { setTimeout(rej, timeout, new TimeoutError(`timed out`)) }})])
+            throw reason
+        }
+        return output
+    }
+
+    /** Run a command on any number of nodes, and get its output from each one as it arrives. Unlike {@link Session#run_command}, a device which doesn't finish in time doesn't hold back the others. Commands on the same device run one after another, as for {@link Session#run_command}.
+     * @example
+     * for await (let item of session.stream_command(["web01", "web02"], "uptime", {node_timeout: 30000})) {
+     *     if (item.type === "data") {
+     *         process.stdout.write(`${item.nodeid}: ${item.chunk}`)
+     *     }
+     * }
+     * @param {string|string[]} nodeids - Unique ids of nodes on which to run the command, or names
+     * @param {string} command - Command to run
+     * @param {Object} [options={}]
+     * @param {boolean} [options.powershell=false] - Use powershell to run command. Only available on Windows.
+     * @param {boolean} [options.runasuser=false] - Attempt to run as a user instead of the root permissions given to the agent. Fall back to root if we cannot.
+     * @param {boolean} [options.runasuseronly=false] - Error if we cannot run the command as the logged in user.
+     * @param {number} [options.node_timeout=null] - Milliseconds each device gets to finish, including any wait for earlier commands on it. A device which runs out of time gets a "timeout" event. The next command on it waits for the rest of its output, or for it to reconnect.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds after which every device still running times out and the stream ends, or a signal which does the same
+     * @returns {_CommandStream} Stream of output and completions. Its `result` rejects with a {@link ServerError} if the server refuses the command, or a {@link SocketError} if the session closes.
+     */
+    stream_command(nodeids, command, {powershell=false, runasuser=false, runasuseronly=false, node_timeout=null}={}, timeout=null) {
+        let runAsUser = 0;
+        if (runasuser) { runAsUser = 1; }
+        if (runasuseronly) { runAsUser = 2; }
+        return this._stream_command(nodeids, { action: 'runcommands', type: (powershell ? 2 : 0), cmds: command, runAsUser: runAsUser }, "run_command", {node_timeout: node_timeout}, timeout)
     }
 
-    /** Run a mesh console command on any number of nodes. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {string|string[]} nodeids - Unique ids of nodes on which to run the command
+    /** Run a mesh console command on any number of nodes. Commands on the same device run one after another, as for {@link Session#run_command}.
+     * @param {string|string[]} nodeids - Unique ids of nodes on which to run the command, or names
      * @param {string} command - Command to run
      * @param {Object} [options={}]
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call. Includes time spent waiting for earlier commands on the same devices.
      * @returns {Promise<Object>} Object containing mapped output of the commands by device
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
-     * @throws {TimeoutError} Command timed out
+     * @throws {TimeoutError} Command timed out. Its `partial` holds the output so far by device.
      */
     async run_console_command(nodeids, command, {}={}, timeout=null) {
+        // Console commands answer with exactly one message and no completion message
+        return this._command_output(this._stream_command(nodeids, { action: 'runcommands', type: 4, cmds: command }, "run_console_command", {single: true}, timeout))
+    }
+
+    // Sends `op` to each of `nodeids` once no earlier command is running on it, and streams the console output it causes.
+    // Devices whose turns come together get the command in one message.
+    _stream_command(nodeids, op, name, {node_timeout=null, single=false}={}, timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
-        let match_nodeid = (id, ids)=>{
-            for (let nid of ids) {
-                if (nid === id) {
-                    return nid
-                }
-                if (nid.slice(6) === id) {
-                    return nid
-                }
-                if (`node//${nid}` === id) {
-                    return nid
+        let signal = this._signal(timeout)
+        // Output is keyed by what the caller passed, which may be names
+        let names = nodeids
+        let stream = new _CommandStream(this, names, {node_timeout: node_timeout, single: single, signal: signal, what: name})
+        this._resolve_all("device", nodeids, signal).then((nodeids)=>{
+            if (stream.ended) {
+                return
+            }
+            let nodes = {}
+            nodeids.forEach((nodeid, i)=>{
+                nodeid = this._id("node", nodeid)
+                nodes[nodeid] = _.uniq([...(nodes[nodeid] || []), names[i]])
+            })
+            // Output can arrive right after the answer, so listen before sending
+            stream._listen(nodes)
+            let batch = []
+            let send = ()=>{
+                let ready = batch.filter((nodeid)=>stream._may_send(nodeid))
+                batch = []
+                if (ready.length) {
+                    this._send_stream_command(stream, Object.assign({}, op, {nodeids: ready}), name, signal)
                 }
             }
-        }
-        return Promise.race([new Promise(async (resolve, reject)=>{
-            try {
-                let result = Object.fromEntries(nodeids.map((n)=>[n, {complete: false, result: []}]));
-                let l = this.listen_to_events((data)=>{
-                    let nodeid = match_nodeid(data.nodeid, nodeids)
-                    if (nodeid) {
-                        result[match_nodeid(data.nodeid, nodeids)].result.push(data.value);
-                        result[nodeid] = Object.assign((result[nodeid] || {}), {complete: true});
-                        if (_.every(Object.entries(result).map(([key, o])=>o.complete))) {
-                            resolve(Object.fromEntries(Object.entries(result).map(([key, o])=>[key, o.result.join("")])));
-                            this.stop_listening_to_events(l);
-                            this.stop_listening_to_events(l2);
-                        }
+            for (let nodeid of Object.keys(nodes)) {
+                let turn = this._take_turn(nodeid)
+                stream._queued(nodeid, turn)
+                turn.ready.then(()=>{
+                    if (!stream._may_send(nodeid)) {
+                        return
                     }
-                }, {action: "msg", type: "console"});
-                let data = await this._send_command({ action: 'runcommands', nodeids: nodeids, type: 4, cmds: command, }, "run_console_command", timeout)
-                if (data.result && data.result.toLowerCase() !== "ok") {
-                    this.stop_listening_to_events(l);
-                    reject(new ServerError(data.result));
-                    return
-                }
-                let l2 = this.listen_to_events((data)=>{
-                    if (data.result && data.result.toLowerCase() !== "ok") {
-                        reject(new ServerError(data.result));
-                        this.stop_listening_to_events(l);
-                        this.stop_listening_to_events(l2);
+                    if (!batch.length) {
+                        queueMicrotask(send)
                     }
-                }, {action: "runcommands", responseid: data.responseid})
-            } catch (err) {
-                reject(err)
+                    batch.push(nodeid)
+                })
             }
-        }), new Promise((_r, rej)=>{if (timeout) { setTimeout(rej, timeout, new TimeoutError(`timed out`)) }})])
+        }).catch((err)=>{
+            if (!(signal && signal.aborted)) {
+                stream._fail(err)
+            }
+        })
+        return stream
     }
 
-    /** Get a terminal shell on the given device
-     * @param {string} nodeid - Unique id of node on which to open the shell
-     * @param {boolean} [unique=false] - true: Create a unique {@link _Shell}. Caller is responsible for cleanup. false: Use a cached {@link _Shell} if available, otherwise create and cache.
-     * @returns {Promise<_Shell>} Newly created and initialized {@link _Shell} or cached {@link _Shell} if unique is false and a shell is currently active
-     */
-    async shell(nodeid, unique=false) {
-        if (unique) {
-            return await _Shell.create(this, nodeid)
-        }
-        if (!this._shell_tunnels[nodeid] || !this._shell_tunnels[nodeid].alive) {
-            this._shell_tunnels[nodeid] = await _Shell.create(this, nodeid)
+    async _send_stream_command(stream, op, name, signal) {
+        for (let nodeid of op.nodeids) {
+            stream._sending(nodeid)
         }
-        return this._shell_tunnels[nodeid]
-    }
-
-    /** Get a smart terminal shell on the given device
-     * @param {string} nodeid - Unique id of node on which to open the shell
-     * @param {regex} regex - Regex to watch for to signify that the shell is ready for new input.
-     * @param {boolean} [unique=false] - true: Create a unique {@link _SmartShell}. Caller is responsible for cleanup. false: Use a cached {@link _SmartShell} if available, otherwise create and cache.
-     * @returns {Promise<_SmartShell>} Newly created and initialized {@link _SmartShell} or cached {@link _SmartShell} if unique is false and a smartshell with regex is currently active
+        try {
+            let data = await this._send_command(op, name, signal)
+            if (data.result && data.result.toLowerCase() !== "ok") {
+                throw this._server_error(data)
+            }
+            // The server can still refuse the command after accepting it
+            let l = this.listen_to_events((data)=>{
+                if (data.result && data.result.toLowerCase() !== "ok") {
+                    stream._fail(this._server_error(data))
+                }
+            }, {action: "runcommands", responseid: data.responseid})
+            let stop = ()=>this.stop_listening_to_events(l)
+            stream.result.then(stop, stop)
+        } catch (err) {
+            if (!(signal && signal.aborted)) {
+                stream._fail(err)
+            }
+        }
+    }
+
+    // Swallows what is left of a timed out command's console output on a device, then calls `done`. A device which
+    // connects or disconnects in the meantime has dropped the command.
+    _drain_console(nodeid, single, done) {
+        let stopped = false
+        let stop = ()=>{
+            if (stopped) {
+                return
+            }
+            stopped = true
+            this.stop_listening_to_events(l)
+            this.off("device.connected", on_connection)
+            this.off("device.disconnected", on_connection)
+            done()
+        }
+        let l = this.listen_to_events((data)=>{
+            if (_same_id(data.nodeid, nodeid, this._id_domain()) && (single || data.value === "Run commands completed.")) {
+                stop()
+            }
+        }, {action: "msg", type: "console"})
+        let on_connection = (event)=>{
+            if (_same_id(event.nodeid, nodeid, this._id_domain())) {
+                stop()
+            }
+        }
+        this.on("device.connected", on_connection)
+        this.on("device.disconnected", on_connection)
+    }
+
+    // Waits for a command stream to end, and gives its output by device
+    async _command_output(stream) {
+        let results = await stream.result
+        let output = Object.fromEntries(Object.entries(results).map(([key, o])=>[key, o.output]))
+        if (stream.reason !== null) {
+            if (stream.reason instanceof TimeoutError) {
+                stream.reason.partial = output
+            }
+            throw stream.reason
+        }
+        return output
+    }
+
+    /** Run a command or script on many devices, a few at a time, with retries, and report how it went on each one. The command is run as with `structured` {@link Session#run_command}, so a device succeeds when it exits with 0.
+     * @example
+     * let job = session.run_job("group:Office os:*Ubuntu*", "apt-get update", {concurrency: 20, node_timeout: 300000, retries: 2, wait_online: 600000})
+     * job.on("device", (entry) => console.log(entry.name, entry.status))
+     * let report = await job.result
+     * fs.writeFileSync("report.csv", report.to_csv())
+     * @param {string|string[]|Object|function} targets - Ids or names of the devices as an array, or a device query as for {@link Session#find_devices}
+     * @param {string} command - Command or script to run
+     * @param {Object} [options={}]
+     * @param {number} [options.concurrency=10] - Most devices to run the command on at once
+     * @param {number} [options.node_timeout=null] - Milliseconds each attempt on a device gets before it times out. null uses the session's `default_timeout`.
+     * @param {number} [options.retries=0] - Times to retry a device whose attempt ended with a status in `retry_on`
+     * @param {number} [options.retry_delay=1000] - Milliseconds to wait before a retry
+     * @param {string[]} [options.retry_on=["failed", "timed_out"]] - Statuses which are retried
+     * @param {number} [options.wait_online=null] - Milliseconds to wait for an offline device to come online. null marks offline devices "offline" straight away.
+     * @param {boolean} [options.powershell=false] - Use powershell to run command. Only available on Windows.
+     * @param {boolean} [options.runasuser=false] - Attempt to run as a user instead of the root permissions given to the agent. Fall back to root if we cannot.
+     * @param {boolean} [options.runasuseronly=false] - Error if we cannot run the command as the logged in user.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds for the whole job, or a signal which cancels it. Devices which aren't done with by then are "canceled". The session's `default_timeout` doesn't apply.
+     * @returns {_Job} The running job. Its `result` resolves with the {@link _JobReport}.
+     */
+    run_job(targets, command, {concurrency=10, node_timeout=null, retries=0, retry_delay=1000, retry_on=["failed", "timed_out"], wait_online=null, powershell=false, runasuser=false, runasuseronly=false}={}, timeout=null) {
+        let signal = this._signal(timeout, false)
+        let job = new _Job(this, command, {concurrency: concurrency, node_timeout: node_timeout, retries: retries, retry_delay: retry_delay, retry_on: retry_on, wait_online: wait_online, powershell: powershell, runasuser: runasuser, runasuseronly: runasuseronly}, signal)
+        let devices
+        if (targets instanceof Array) {
+            devices = Promise.all([this._resolve_all("device", targets, signal), this.list_devices({}, signal)]).then(([ids, all])=>{
+                return _.uniq(ids).map((id)=>all.find((d)=>_same_id(d._id, id, this._id_domain())) || {_id: id, name: null, conn: 0})
+            })
+        } else {
+            devices = this.find_devices(targets, {}, signal)
+        }
+        devices.then((devices)=>job._start(devices), (err)=>job._fail(err))
+        return job
+    }
+
+    /**
+     * A script in one or more languages, by language: "sh", "bash", "powershell", "cmd" or "python". Each device runs the first variant it can: sh and bash anywhere but Windows, powershell and cmd only on Windows, and python anywhere.
+     * @typedef {Object.<string, string>} Session~Script
+     */
+
+    /** Run a script on any number of nodes. The script is uploaded to a temporary file on each device, run with `args` and `env`, and deleted afterwards. Each device runs the variant of the script written for its OS, and the script runs after any earlier commands on the device, as for {@link Session#run_command}.
+     * @example
+     * let library = new ScriptLibrary("./scripts")   // holds disk_report.sh and disk_report.ps1
+     * let results = await session.run_script(["web01", "dc01"], "disk_report", {library: library, args: ["--min-free", "10"]})
+     * @param {string|string[]} nodeids - Unique ids of nodes on which to run the script, or names
+     * @param {string|Session~Script} script - Script to run, its variants by language, or its name in `library`. A single script runs with sh, or PowerShell on Windows.
+     * @param {Object} [options={}]
+     * @param {string[]} [options.args=[]] - Arguments to pass to the script
+     * @param {Object.<string, string>} [options.env={}] - Environment variables to set for the script. Values for Windows devices can't hold quotes or line breaks.
+     * @param {string} [options.interpreter=null] - Program to run the script with in place of the one its language uses, such as "bash" or "/usr/bin/python3.11"
+     * @param {ScriptLibrary|string} [options.library=null] - Library, or directory of one, in which to look `script` up by name
+     * @param {string} [options.temp_dir=null] - Directory to upload the script to. Defaults to "/tmp", or "C:\Windows\Temp" on Windows.
+     * @param {boolean} [options.runasuser=false] - Attempt to run as a user instead of the root permissions given to the agent. Fall back to root if we cannot. The user must be able to read `temp_dir`.
+     * @param {boolean} [options.runasuseronly=false] - Error if we cannot run the script as the logged in user.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the scripts to finish before throwing an error, or a signal which cancels the call. Includes the uploads.
+     * @returns {Promise<Object>} Object mapping each device to its {@link Session~CommandResult}. A device the script couldn't be uploaded to has its `error` set instead.
+     * @throws {ValueError} A device has no variant of the script it can run, the library has no script by that name, or an environment variable is invalid
+     * @throws {ServerError} Error text from server if there is a failure
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Scripts timed out. Its `partial` holds the results so far by device.
+     */
+    async run_script(nodeids, script, {args=[], env={}, interpreter=null, library=null, temp_dir=null, runasuser=false, runasuseronly=false}={}, timeout=null) {
+        if (typeof(nodeids) === "string") { nodeids = [nodeids] }
+        let signal = this._signal(timeout)
+        if (library !== null) {
+            if (typeof(library) === "string") { library = new ScriptLibrary(library) }
+            script = await library.get(script)
+        } else if (typeof(script) === "string") {
+            script = {sh: script, powershell: script}
+        }
+        for (let type of Object.keys(script)) {
+            if (!_SCRIPT_TYPES[type]) {
+                throw new ValueError(`Unknown script language: ${type}`)
+            }
+        }
+        for (let name of Object.keys(env)) {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                throw new ValueError(`Invalid environment variable name: ${name}`)
+            }
+        }
+        let ids = await this._resolve_all("device", nodeids, signal)
+        let devices = await this._name_list("device", signal)
+        let name = `meshctrl_${this._getRandomHex(8)}`
+        let items = nodeids.map((key, i)=>{
+            let windows = _command_shell(devices.find((d)=>_same_id(d._id, ids[i], this._id_domain()))) !== "sh"
+            let type = Object.keys(script).find((type)=>[null, windows].includes(_SCRIPT_TYPES[type].windows))
+            if (type === undefined) {
+                throw new ValueError(`No variant of the script runs on ${key}`)
+            }
+            let unsafe = windows ? Object.keys(env).find((name)=>/["\r\n]/.test(String(env[name]))) : undefined
+            if (unsafe !== undefined) {
+                throw new ValueError(`Environment variable ${unsafe} holds a quote or line break, which can't be passed to ${key} on Windows`)
+            }
+            let dir = temp_dir || (windows ? "C:\\Windows\\Temp" : "/tmp")
+            let file = `${name}${_SCRIPT_TYPES[type].ext[0]}`
+            return {key: key, id: ids[i], windows: windows, type: type, dir: dir, file: file, path: `${dir}${windows ? "\\" : "/"}${file}`}
+        })
+
+        let output = {},
+            uploaded = {}
+        await Promise.all(_.uniqBy(items, "id").map(async (item)=>{
+            let files = null
+            try {
+                files = await this.file_explorer(item.id, true, signal)
+                await files.upload(stream.Readable.from([Buffer.from(script[item.type])]), item.dir, {name: item.file}, signal)
+                uploaded[item.id] = files
+            } catch (err) {
+                if (files !== null) {
+                    files.close()
+                }
+                if (signal && signal.aborted) {
+                    throw err
+                }
+                for (let other of items.filter(({id})=>id === item.id)) {
+                    output[other.key] = {stdout: "", stderr: "", exit_code: null, duration: null, error: err}
+                }
+            }
+        })).catch((err)=>{
+            Object.values(uploaded).forEach((files)=>files.close())
+            throw err
+        })
+
+        // Devices which upload to the same place run the same line, so they can share a command
+        let groups = _.groupBy(items.filter(({id})=>uploaded[id]), ({type, path, windows})=>JSON.stringify([type, path, windows]))
+        let runs = await Promise.allSettled(Object.values(groups).map((group)=>{
+            let {type, path, windows} = group[0]
+            let command = _script_command(type, path, {args: args, env: env, interpreter: interpreter, windows: windows})
+            return this.run_command(_.uniq(group.map(({id})=>id)), command, {structured: true, runasuser: runasuser, runasuseronly: runasuseronly}, signal).catch((err)=>{
+                if (!err.partial) {
+                    throw err
+                }
+                return Object.assign({}, err.partial, {_reason: err})
+            }).then((results)=>{
+                for (let item of group) {
+                    if (results[item.id]) {
+                        output[item.key] = results[item.id]
+                    }
+                }
+                return results._reason || null
+            })
+        }))
+
+        // Clean up even when the scripts timed out, which takes a fresh timeout
+        await Promise.all(_.uniqBy(items, "id").filter(({id})=>uploaded[id]).map(({id, dir, file})=>{
+            let files = uploaded[id]
+            return files.rm(dir, [file], false, AbortSignal.timeout(_SCRIPT_CLEANUP_TIMEOUT)).catch(()=>{}).finally(()=>files.close())
+        }))
+        output = Object.fromEntries(nodeids.filter((key)=>output[key]).map((key)=>[key, output[key]]))
+        let reason = runs.map((run)=>run.status === "rejected" ? run.reason : run.value).find((reason)=>reason) || null
+        if (reason !== null) {
+            if (reason instanceof TimeoutError) {
+                reason.partial = output
+            }
+            throw reason
+        }
+        return output
+    }
+
+    // Queues a command behind every earlier command on a device. `ready` resolves when it may run, and `release()` lets the next one run.
+    _take_turn(nodeid) {
+        let release
+        let before = this._console_turns[nodeid] || Promise.resolve()
+        let mine = new Promise((resolve)=>{ release = resolve })
+        let turn = before.then(()=>mine)
+        this._console_turns[nodeid] = turn
+        turn.then(()=>{
+            if (this._console_turns[nodeid] === turn) {
+                delete this._console_turns[nodeid]
+            }
+        })
+        return {ready: before, release: release}
+    }
+
+    /** Get a terminal shell on the given device
+     * @example
+     * let shell = await session.shell("web01", {unique: true, cols: 120, rows: 40, ansi: "screen"})
+     * await shell.write("top\n")
+     * console.log(await shell.expect_screen(/load average/, 5000))
+     * @param {string} nodeid - Unique id of node on which to open the shell, or its name
+     * @param {boolean|Object} [options=false] - Options, or whether to create a unique shell as `options.unique`
+     * @param {boolean} [options.unique=false] - true: Create a unique {@link _Shell}. Caller is responsible for cleanup. false: Use a cached {@link _Shell} if available, otherwise create and cache.
+     * @param {number} [options.cols=null] - Width of the terminal. null leaves it to the agent.
+     * @param {number} [options.rows=null] - Height of the terminal. null leaves it to the agent.
+     * @param {string} [options.term=null] - Terminal type to ask the agent for, such as "xterm-256color"
+     * @param {string} [options.ansi="raw"] - "raw": Read output as it comes. "strip": Take escape sequences out of the output, so `expect` matches on plain text. "screen": As "strip", and draw the output on {@link _Shell#screen} too.
+     * @param {string|Object} [options.record=null] - Record everything read and written, with timings, as for {@link _ShellRecorder}: the path of an asciicast file, with a plain text transcript written next to it, or `{cast, transcript}`, each a path or a writable stream. A recorded shell is always unique, and the recording ends when it closes. Files are opened before the shell, so one which can't be opened fails the call.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the shell to open before throwing an error, or a signal which cancels the call
+     * @returns {Promise<_Shell>} Newly created and initialized {@link _Shell} or cached {@link _Shell} if unique is false and a shell with the same `ansi` is currently active. A cached shell is resized to `cols` and `rows`, if they are given.
+     * @throws {ValueError} `ansi` is not one of the modes above
+     * @throws {TimeoutError} Opening the shell timed out
+     * @throws {Error} A file to record to couldn't be opened
      */
-    async smart_shell(nodeid, regex, unique=false) {
-        let _shell,
-            _id = `${nodeid}${regex}`
+    async shell(nodeid, options=false, timeout=null) {
+        if (typeof(options) === "boolean") { options = {unique: options} }
+        let {unique=false, cols=null, rows=null, term=null, ansi="raw", record=null} = options
+        if (!_SHELL_ANSI_MODES.includes(ansi)) {
+            throw new ValueError(`Invalid ansi mode: ${ansi}`)
+        }
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
+        if (record) {
+            // Opening the files first, so that a bad path fails the call instead of leaving the shell unrecorded
+            let recording = await _ShellRecorder.create(record, {cols: cols, rows: rows, term: term, title: nodeid})
+            return await this._open_tunnel(_Shell, nodeid, timeout, {cols: cols, rows: rows, term: term, ansi: ansi, record: recording})
+        }
+        let terminal = {cols: cols, rows: rows, term: term, ansi: ansi}
         if (unique) {
-            _shell = await _Shell.create(this, nodeid)
-            return new _SmartShell(_shell, regex)
+            return await this._open_tunnel(_Shell, nodeid, timeout, terminal)
+        }
+        let _id = ansi === "raw" ? nodeid : `${nodeid}:${ansi}`
+        if (!this._shell_tunnels[_id] || !this._shell_tunnels[_id].alive) {
+            this._shell_tunnels[_id] = await this._open_tunnel(_Shell, nodeid, timeout, terminal)
+            return this._shell_tunnels[_id]
+        }
+        let shell = this._shell_tunnels[_id]
+        cols = cols === null ? shell.cols : cols
+        rows = rows === null ? shell.rows : rows
+        if (cols !== null && rows !== null && (cols !== shell.cols || rows !== shell.rows)) {
+            shell.resize(cols, rows)
+        }
+        return shell
+    }
+
+    /** Get a smart terminal shell on the given device, which runs one command at a time and reports each one's output and exit code. The kind of shell is picked from the device's OS: sh, or cmd on Windows.
+     * @example
+     * let shell = await session.smart_shell("web01")
+     * let {output, exit_code} = await shell.send_command("systemctl is-active nginx", 10000)
+     * @param {string} nodeid - Unique id of node on which to open the shell, or its name
+     * @param {Object} [options={}]
+     * @param {boolean} [options.unique=false] - true: Create a unique {@link _SmartShell}. Caller is responsible for cleanup. false: Use a cached {@link _SmartShell} if available, otherwise create and cache.
+     * @param {boolean} [options.powershell=false] - Use PowerShell instead of cmd on Windows
+     * @param {string|Object} [options.record=null] - Record the shell, as for {@link Session#shell}. A recorded smart shell is always unique, and its recorder is `shell.recording` of its {@link _Shell}.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the shell to open and show its prompt before throwing an error, or a signal which cancels the call. Without any timeout, the prompt gets 30 seconds.
+     * @returns {Promise<_SmartShell>} Newly created and initialized {@link _SmartShell} or cached {@link _SmartShell} if unique is false and a smart shell of the same kind is currently active
+     * @throws {ValueError} Given a regex, as older versions took. The smart shell sets its own prompt.
+     * @throws {TimeoutError} Opening the shell, or waiting for its prompt, timed out
+     * @throws {Error} A file to record to couldn't be opened
+     */
+    async smart_shell(nodeid, options={}, timeout=null) {
+        if (options instanceof RegExp) {
+            throw new ValueError("smart_shell sets its own prompt, and takes options instead of a regex")
         }
-        if (!this._smart_shell_tunnels[_id] || !this._smart_shell_tunnels[_id].alive) {
-            _shell = await _Shell.create(this, nodeid)
-            this._smart_shell_tunnels[_id] = new _SmartShell(_shell, regex)
+        let {unique=false, powershell=false, record=null} = options
+        unique = unique || Boolean(record)
+        let signal = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, signal)
+        let devices = await this._name_list("device", signal)
+        let type = _command_shell(devices.find((d)=>_same_id(d._id, nodeid, this._id_domain())), powershell)
+        let _id = `${nodeid}:${type}`
+        if (!unique && this._smart_shell_tunnels[_id] && this._smart_shell_tunnels[_id].alive) {
+            return this._smart_shell_tunnels[_id]
         }
-        return this._smart_shell_tunnels[_id]
+        let recording = record ? await _ShellRecorder.create(record, {title: nodeid}) : null
+        let shell = await this._open_tunnel(_Shell, nodeid, signal, {ansi: "strip", record: recording})
+        let smart = await _SmartShell.create(shell, type, signal)
+        if (!unique) {
+            this._smart_shell_tunnels[_id] = smart
+        }
+        return smart
     }
 
     /** Wake up given devices
-     * @param {string|string[]} nodeids - Unique ids of nodes which to wake
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string|string[]} nodeids - Unique ids of nodes which to wake, or names
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} True if successful
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async wake_devices(nodeids, timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
+        timeout = this._signal(timeout)
+        nodeids = await this._resolve_all("device", nodeids, timeout)
         return this._send_command({ action: 'wakedevices', nodeids: nodeids }, "wake_devices", timeout).then((data)=>{
 
         })
     }
 
     /** Reset given devices
-     * @param {string|string[]} nodeids - Unique ids of nodes which to reset
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string|string[]} nodeids - Unique ids of nodes which to reset, or names
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} True if successful
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async reset_devices(nodeids, timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
+        timeout = this._signal(timeout)
+        nodeids = await this._resolve_all("device", nodeids, timeout)
         return this._send_command({ action: 'poweraction', nodeids: nodeids, actiontype: 3 }, "reset_devices", timeout)
     }
 
     /** Sleep given devices
-     * @param {string|string[]} nodeids - Unique ids of nodes which to sleep
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string|string[]} nodeids - Unique ids of nodes which to sleep, or names
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} True if successful
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async sleep_devices(nodeids, timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
+        timeout = this._signal(timeout)
+        nodeids = await this._resolve_all("device", nodeids, timeout)
         return this._send_command({ action: 'poweraction', nodeids: nodeids, actiontype: 4 }, "sleep_devices", timeout)
     }
 
     /** Power off given devices
-     * @param {string|string[]} nodeids - Unique ids of nodes which to power off
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {string|string[]} nodeids - Unique ids of nodes which to power off, or names
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} True if successful
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async power_off_devices(nodeids, timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
+        timeout = this._signal(timeout)
+        nodeids = await this._resolve_all("device", nodeids, timeout)
         return this._send_command({ action: 'poweraction', nodeids: nodeids, actiontype: 2 }, "power_off_devices", timeout)
     }
 
-    /** List device shares of given node. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {string} nodeid - Unique id of nodes of which to list shares
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+    /** List device shares of given node.
+     * @param {string} nodeid - Unique id of nodes of which to list shares, or its name
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<Object[]>} Array of objects representing device shares
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async list_device_shares(nodeid, timeout=null) {
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         return this._send_command_no_response_id({ action: 'deviceShares', nodeid: nodeid }, timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return data.deviceShares
         })
     }
 
-    /** Add device share to given node. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {string} nodeid - Unique id of nodes of which to list shares
+    /** Add device share to given node.
+     * @param {string} nodeid - Unique id of nodes of which to list shares, or its name
      * @param {string} name - Name of guest with which to share
      * @param {Object} [options={}]
      * @param {SHARINGTYPE} [options.type=SHARINGTYPE.desktop] - Type of share thise should be
@@ -1634,13 +3480,16 @@ class Session {
      * @param {number|Date} [options.start=new Date()] - When to start the share
      * @param {number|Date} [options.end=null] - When to end the share. If null, use duration instead
      * @param {number} [options.duration=60*60] - Duration in seconds for share to exist
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<Object>} Info about the newly created share
      * @throws {ServerError} Error text from server if there is a failure
+     * @throws {ValueError} `end` isn't after `start`
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async add_device_share(nodeid, name, {type=SHARINGTYPE.desktop, consent=null, start=null, end=null, duration=60*60}={}, timeout=null) {
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         if (start === null) {
             start = new Date()
         }
@@ -1655,14 +3504,14 @@ class Session {
         if (end === null) {
             end = start + duration
         } else {
-            end = Math.floor(args.end/1000)
+            end = Math.floor(end/1000)
         }
         if (end <= start) {
-            throw Error("End time must be ahead of start time")
+            throw new ValueError("End time must be ahead of start time")
         }
         return this._send_command({ action: 'createDeviceShareLink', nodeid: nodeid, guestname: name, p: SHARINGTYPENUM[type], consent: consent, start: start, end: end }, "add_device_share", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             delete data.action
             delete data.nodeid
@@ -1673,79 +3522,84 @@ class Session {
     }
 
     /** Remove a device share
-     * @param {string} nodeid - Unique node from which to remove the share
+     * @param {string} nodeid - Unique node from which to remove the share, or its name
      * @param {string} shareid - Unique share id to be removed
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} true if successful
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async remove_device_share(nodeid, shareid, timeout=null) {
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         return this._send_command({ action: 'removeDeviceShare', nodeid: nodeid, publicid: shareid }, "remove_device_share", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
     }
 
-    /** Open url in browser on device. WARNING: Non namespaced call. Calling this function again before it returns may cause unintended consequences.
-     * @param {string} nodeid - Unique node from which to remove the share
+    /** Open url in browser on device. WARNING: Calling this function again for the same device and url before it returns may cause unintended consequences.
+     * @param {string} nodeid - Unique node from which to remove the share, or its name
      * @param {string} url - url to open
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} true if successful
      * @throws {ServerError} Error text from server if there is a failure
-     * @throws {Error} `Failed to open url` if failure occurs
+     * @throws {ServerError} `Failed to open url` if the device couldn't open it
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async device_open_url(nodeid, url, timeout=null) {
-        return Promise.race([new Promise((resolve, reject)=>{
-            try {
-                let l = this.listen_to_events((data)=>{
-                    this.stop_listening_to_events(l)
-                    if (data.success) {
-                        resolve(true)
-                    } else {
-                        reject(new Error("Failed to open url"))
-                    }
-                }, {type: "openUrl", url: url})
-                this._send_command({ action: 'msg', type: 'openUrl', nodeid: nodeid, url: url }, "device_open_url", timeout).then((data)=>{
-                    if (data.result && data.result.toLowerCase() !== "ok") {
-                        reject(new ServerError(data.result))
-                    }
-                })
-            } catch (err) {
-                reject(err)
+        let signal = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, signal)
+        return _abortable(signal, "device_open_url", async (resolve, reject, cleanup)=>{
+            let l = this.listen_to_events((data)=>{
+                // The answer comes back with the full node id
+                if (data.nodeid && !_same_id(data.nodeid, nodeid, this._id_domain())) {
+                    return
+                }
+                if (data.success) {
+                    resolve(true)
+                } else {
+                    reject(_server_error("Failed to open url", {action: "msg", type: "openUrl", nodeid: nodeid, url: url}, data))
+                }
+            }, {type: "openUrl", url: url})
+            cleanup(()=>this.stop_listening_to_events(l))
+            let data = await this._send_command({ action: 'msg', type: 'openUrl', nodeid: nodeid, url: url }, "device_open_url", signal)
+            if (data.result && data.result.toLowerCase() !== "ok") {
+                reject(this._server_error(data))
             }
-        }), new Promise((_r, rej)=>{if (timeout) { setTimeout(rej, timeout, new TimeoutError(`timed out`)) }})])
+        })
     }
 
     /** Display a message on remote device.
-     * @param {string} nodeid - Unique node from which to remove the share
+     * @param {string} nodeid - Unique node from which to remove the share, or its name
      * @param {string} message - message to display
      * @param {string} [title="MeshCentral"] - message title
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} true if successful
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
      * @throws {TimeoutError} Command timed out
      */
     async device_message(nodeid, message, title="MeshCentral", timeout=null) {
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         return this._send_command({ action: 'msg', type: 'messagebox', nodeid: nodeid, title: title, msg: message }, "device_message", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return true
         })
     }
 
     /** Popup a toast a message on remote device.
-     * @param {string|string[]} nodeids - Unique node from which to remove the share
+     * @param {string|string[]} nodeids - Unique node from which to remove the share, or names
      * @param {string} message - message to display
      * @param {string} [title="MeshCentral"] - message title
-     * @param {number?} [timeout=null] - duration in milliseconds to wait for a response before throwing an error
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
      * @returns {Promise<boolean>} true if successful
      * @throws {ServerError} Error text from server if there is a failure
      * @throws {SocketError} Info about socket closure
@@ -1754,9 +3608,11 @@ class Session {
      */
     async device_toast(nodeids, message, title="MeshCentral", timeout=null) {
         if (typeof(nodeids) === "string") { nodeids = [nodeids] }
+        timeout = this._signal(timeout)
+        nodeids = await this._resolve_all("device", nodeids, timeout)
         return this._send_command({ action: 'toast', nodeids: nodeids, title: "MeshCentral", msg: message }, "device_toast", timeout).then((data)=>{
             if (data.result && data.result.toLowerCase() !== "ok") {
-                throw new ServerError(data.result)
+                throw this._server_error(data)
             }
             return data
         })
@@ -1775,21 +3631,23 @@ class Session {
             throw new SocketError("Socket Closed")
         }
         if (session === null && user === null) {
-            throw ValueError("No user or session given")
+            throw new ValueError("No user or session given")
         }
         this._sock.send(JSON.stringify({action: "interuser", data: data, sessionid: session, userid: user}))
     }
 
     /** Upload a stream to a device. This creates an _File and destroys it every call. If you need to upload multiple files, use {@link Session#file_explorer} instead.
-     * @param {string} nodeid - Unique id to upload stream to
+     * @param {string} nodeid - Unique id to upload stream to, or its name
      * @param {ReadableStream} source - ReadableStream from which to read data
      * @param {string} target - Path which to upload stream to on remote device
      * @param {boolean} [unique_file_tunnel=false] - true: Create a unique {@link _Files} for this call, which will be cleaned up on return, else use cached or cache {@link _Files}
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the transfer to finish, or a signal which cancels it. The session's `default_timeout` only applies to opening the file explorer.
      * @returns {Promise<Object>} - {result: bool whether upload succeeded, size: number of bytes uploaded}
      */
-    async upload(nodeid, source, target, unique_file_tunnel=false) {
-        let files = await this.file_explorer(nodeid, unique_file_tunnel)
-        return files.upload(source, target).finally(()=>{
+    async upload(nodeid, source, target, unique_file_tunnel=false, timeout=null) {
+        let signal = this._signal(timeout, false)
+        let files = await this.file_explorer(nodeid, unique_file_tunnel, signal)
+        return files.upload(source, target, {}, signal).finally(()=>{
             if (unique_file_tunnel) {
                 files.close()
             }
@@ -1797,36 +3655,38 @@ class Session {
     }
 
     /** Friendly wrapper around {@link Session#upload} to upload from a filepath. Creates a ReadableStream and calls upload.
-     * @param {string} nodeid - Unique id to upload file to
+     * @param {string} nodeid - Unique id to upload file to, or its name
      * @param {string} filepath - Path from which to read the data
      * @param {string} target - Path which to upload file to on remote device
      * @param {boolean} [unique_file_tunnel=false] - true: Create a unique {@link _Files} for this call, which will be cleaned up on return, else use cached or cache {@link _Files}
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the transfer to finish, or a signal which cancels it. The session's `default_timeout` only applies to opening the file explorer.
      * @returns {Promise<Object>} - {result: bool whether upload succeeded, size: number of bytes uploaded}
      */
-    async upload_file(nodeid, filepath, target, unique_file_tunnel=false) {
+    async upload_file(nodeid, filepath, target, unique_file_tunnel=false, timeout=null) {
         let f = fs.createReadStream(filepath)
-        return this.upload(nodeid, f, target, unique_file_tunnel)
+        return this.upload(nodeid, f, target, unique_file_tunnel, timeout)
     }
 
     /** Download a file from a device into a writable stream. This creates an _File and destroys it every call. If you need to upload multiple files, use {@link Session#file_explorer} instead.
-     * @param {string} nodeid - Unique id to download file from
+     * @param {string} nodeid - Unique id to download file from, or its name
      * @param {string} source - Path from which to download from device
      * @param {WritableStream} [target=null] - Stream to which to write data. If null, create new PassThrough stream which is both readable and writable.
      * @param {boolean} [unique_file_tunnel=false] - true: Create a unique {@link _Files} for this call, which will be cleaned up on return, else use cached or cache {@link _Files}
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the transfer to finish, or a signal which cancels it. The session's `default_timeout` only applies to opening the file explorer.
      * @returns {Promise<WritableStream>} The stream which has been downloaded into
      * @throws {Error} String showing the intermediate outcome and how many bytes were downloaded
+     * @throws {TimeoutError} Download timed out
      */
-    async download(nodeid, source, target=null, unique_file_tunnel=false) {
+    async download(nodeid, source, target=null, unique_file_tunnel=false, timeout=null) {
         let passthrough = false
         if (target===null) {
             target = new stream.PassThrough()
             passthrough = true
         }
-        let files = await this.file_explorer(nodeid, unique_file_tunnel)
-        return files.download(source, target).then(()=>{
+        let signal = this._signal(timeout, false)
+        let files = await this.file_explorer(nodeid, unique_file_tunnel, signal)
+        return files.download(source, target, signal).then(()=>{
             return target
-        }, (err)=>{
-            throw Error(`${err.result}: ${err.size} bytes downloaded`)
         }).finally(()=>{
             if (unique_file_tunnel) {
                 files.close()
@@ -1835,32 +3695,50 @@ class Session {
     }
 
     /** Friendly wrapper around {@link Session#download} to download to a filepath. Creates a WritableStream and calls download.
-     * @param {string} nodeid - Unique id to download file from
+     * @param {string} nodeid - Unique id to download file from, or its name
      * @param {string} source - Path from which to download from device
      * @param {string} filepath - Path to which to download data
      * @param {boolean} [unique_file_tunnel=false] - true: Create a unique {@link _Files} for this call, which will be cleaned up on return, else use cached or cache {@link _Files}
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the transfer to finish, or a signal which cancels it. The session's `default_timeout` only applies to opening the file explorer.
      * @returns {Promise<WritableStream>} The stream which has been downloaded into
      */
-    async download_file(nodeid, source, filepath, unique_file_tunnel=false) {
+    async download_file(nodeid, source, filepath, unique_file_tunnel=false, timeout=null) {
         let f = fs.createWriteStream(filepath)
-        return this.download(nodeid, source, f, unique_file_tunnel)
+        return this.download(nodeid, source, f, unique_file_tunnel, timeout)
     }
 
     /** Create, initialize, and return an _File object for the given node
-     * @param {string} nodeid - Unique id on which to open file explorer
+     * @param {string} nodeid - Unique id on which to open file explorer, or its name
      * @param {boolean} [unique=false] - true: Create a unique {@link _Files}. Caller is responsible for cleanup. false: Use a cached {@link _Files} if available, otherwise create and cache.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the file explorer to open before throwing an error, or a signal which cancels the call
      * @returns {Promise<_Files>} A newly initialized file explorer.
+     * @throws {TimeoutError} Opening the file explorer timed out
      */
-    async file_explorer(nodeid, unique=false) {
+    async file_explorer(nodeid, unique=false, timeout=null) {
+        timeout = this._signal(timeout)
+        nodeid = await this._resolve("device", nodeid, timeout)
         if (unique) {
-            return await _Files.create(this, nodeid)
+            return await this._open_tunnel(_Files, nodeid, timeout)
         }
         if (!this._file_tunnels[nodeid] || !this._file_tunnels[nodeid].alive) {
-            this._file_tunnels[nodeid] = await _Files.create(this, nodeid)
+            this._file_tunnels[nodeid] = await this._open_tunnel(_Files, nodeid, timeout)
         }
         return this._file_tunnels[nodeid]
     }
 
+    // A tunnel which is still opening when the call is aborted gets closed as soon as it is ready
+    async _open_tunnel(cls, nodeid, timeout=null, ...args) {
+        let tunnel = new cls(this, nodeid, ...args)
+        return _abortable(this._signal(timeout), `Tunnel to ${nodeid}`, (resolve, reject, cleanup)=>{
+            tunnel.initialized.then(()=>resolve(tunnel), reject)
+            cleanup(()=>{
+                if (!tunnel.initialized.resolved) {
+                    tunnel.initialized.then(()=>tunnel.close(), ()=>{})
+                }
+            })
+        })
+    }
+
     _checkAmtPassword(p) { return (p.length > 7) && (/\d/.test(p)) && (/[a-z]/.test(p)) && (/[A-Z]/.test(p)) && (/\W/.test(p)); }
     _getRandomAmtPassword() { var p; do { p = Buffer.from(crypto.randomBytes(9), 'binary').toString('base64').split('/').join('@'); } while (this._checkAmtPassword(p) == false); return p; }
     _getRandomHex(count) { return Buffer.from(crypto.randomBytes(count), 'binary').toString('hex'); }
@@ -1868,156 +3746,901 @@ class Session {
 }
 
 /**
- * Wrapper around {@link _Shell} that tries to use a regex to detect when a command has finished running and the shell is ready for a new command
+ * Async iterator over server events, returned by {@link Session#events}
+ * @prop {number} dropped - Number of events discarded because the buffer was full
  */
-class _SmartShell {
+class _EventStream {
+    constructor(session, filter, {signal=null, buffer_size=1000, overflow="error"}={}) {
+        this._session = session
+        this._buffer_size = buffer_size
+        this._overflow = overflow
+        this._buffer = []
+        this._pending = []
+        this._error = null
+        this._done = false
+        this._signal = signal
+        this.dropped = 0
+
+        this._listener = session.listen_to_events(this._push.bind(this), filter)
+        this._on_close = ()=>this._finish()
+        session._eventer.on("close", this._on_close)
+        this._on_abort = ()=>this._finish(signal.reason)
+        if (signal) {
+            if (signal.aborted) {
+                this._on_abort()
+            } else {
+                signal.addEventListener("abort", this._on_abort)
+            }
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return this
+    }
+
     /**
-     * Constructor for _SmartShell
-     * @param {_Shell} shell - The shell object to wrap with our smart shell
-     * @param {regex} regex - Regex to watch the terminal to signify a new command is ready
+     * Get the next event, waiting for one if none are buffered
+     * @return {Promise<Object>} `{value, done}` as for any async iterator
      */
-    constructor(shell, regex) {
-        this._shell = shell
-        this._regex = regex
-        // This comes twice. Test this for sanity
-        this._shell.expect(this._regex).then((data)=>{
-            this._shell.expect(this._regex)
-        })
+    async next() {
+        if (this._buffer.length) {
+            return {value: this._buffer.shift(), done: false}
+        }
+        if (this._done) {
+            if (this._error !== null) {
+                let err = this._error
+                this._error = null
+                throw err
+            }
+            return {value: undefined, done: true}
+        }
+        return new Promise((resolve, reject)=>this._pending.push({resolve, reject}))
     }
 
     /**
-     * Send a command and wait for it to return
-     * @param {string} command - Command to write
-     * @return {Promise<Buffer>} - Data received from command
+     * Stop listening and discard any buffered events. Called by `for await` when the loop exits early.
+     * @return {Promise<Object>} `{value: undefined, done: true}`
      */
-    async send_command(command) {
-        if (!command.endsWith("\n")) {
-            command += "\n"
+    async return() {
+        this._finish()
+        this._buffer = []
+        this._error = null
+        return {value: undefined, done: true}
+    }
+
+    _push(data) {
+        if (this._done) {
+            return
         }
-        this._shell.write(command)
-        return this._shell.expect(this._regex).then((data)=>{
-            let m = data.toString().match(this._regex)
-            return data.slice(0, m.index)
-        })
+        if (this._pending.length) {
+            this._pending.shift().resolve({value: data, done: false})
+            return
+        }
+        if (this._buffer.length >= this._buffer_size) {
+            if (this._overflow === "drop_oldest") {
+                this._buffer.shift()
+                this.dropped++
+            } else if (this._overflow === "drop_newest") {
+                this.dropped++
+                return
+            } else {
+                this._finish(new EventOverflowError(`More than ${this._buffer_size} events were waiting to be read`))
+                return
+            }
+        }
+        this._buffer.push(data)
     }
 
-    get alive() {
-        return this._shell.alive
+    _finish(err=null) {
+        if (this._done) {
+            return
+        }
+        this._done = true
+        this._session.stop_listening_to_events(this._listener)
+        this._session._eventer.off("close", this._on_close)
+        if (this._signal) {
+            this._signal.removeEventListener("abort", this._on_abort)
+        }
+        let pending = this._pending
+        this._pending = []
+        if (err !== null && pending.length) {
+            pending.shift().reject(err)
+            err = null
+        }
+        this._error = err
+        for (let p of pending) {
+            p.resolve({value: undefined, done: true})
+        }
+    }
+}
+
+/**
+ * Output of a command running on several devices, delivered as it arrives. Returned by {@link Session#stream_command}.
+ *
+ * Emits "data" with `{type: "data", nodeid, chunk}` for every piece of output, "complete" with `{type: "complete", nodeid, output}` when a device finishes, and "timeout" with `{type: "timeout", nodeid, output}` when a device runs out of time. "end" is emitted with `results` once every device has completed or timed out. The same objects are yielded when iterating with `for await`. `nodeid` is the id or name the device was given as.
+ * @prop {Object<string, Object>} results - `{output, complete, timed_out, duration}` for each device, keyed as `nodeid` above. Holds the output so far while the command runs. `duration` is the milliseconds from sending the command until the device completed, or null.
+ * @prop {boolean} ended - Whether the stream has ended
+ * @prop {?Error} reason - Why the stream ended before every device completed, such as a {@link TimeoutError} when the overall timeout passed
+ * @prop {Promise<Object>} result - Resolves with `results` when the stream ends, including when the overall timeout ends it. Rejects if the server refuses the command or the session closes, and the error is also emitted as "error" if anything listens for it.
+ *
+ * Output is held for iterating from the start, so a stream can be iterated after awaiting something else. Until iteration starts, at most 1 MiB of output is held. Past that it is dropped, and the first call to `next` throws an {@link EventOverflowError}. Listeners and `results` get all of it either way.
+ */
+class _CommandStream extends EventEmitter {
+    constructor(session, keys, {node_timeout=null, single=false, signal=null, what="run_command"}={}) {
+        super()
+        this._session = session
+        this._node_timeout = node_timeout
+        this._single = single
+        this._signal = signal
+        // State of each device by full node id: the keys it was given as, its turn, and when its command was sent
+        this._nodes = {}
+        this._timers = {}
+        this._buffer = []
+        this._pending = []
+        this._error = null
+        this._listener = null
+        this.results = Object.fromEntries(keys.map((key)=>[key, {output: "", complete: false, timed_out: false, duration: null}]))
+        this.ended = false
+        this.reason = null
+        this._done = new _Deferred()
+        this.result = this._done.promise
+        // Whether output is held for `next`: null until iteration starts, when it is held up to a limit, and false once `return` stops it
+        this._iterating = null
+        this._buffered = 0
+        this._overflowed = false
+
+        this._on_close = (err)=>this._fail(err || new SocketError("Socket Closed"))
+        session._eventer.on("close", this._on_close)
+        this._on_abort = ()=>this._time_out(_abort_reason(signal, what))
+        if (signal) {
+            if (signal.aborted) {
+                this._on_abort()
+            } else {
+                signal.addEventListener("abort", this._on_abort)
+            }
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        this._start_iterating()
+        return this
     }
 
     /**
-     * Close this smart shell and the underlying shell
+     * Get the next piece of output or device completion, waiting for one if none are buffered
+     * @return {Promise<Object>} `{value, done}` as for any async iterator
+     * @throws {EventOverflowError} More output arrived before iterating started than the stream holds
      */
-    close() {
-        this._shell.close()
+    async next() {
+        if (this._overflowed) {
+            this._overflowed = false
+            this._iterating = true
+            throw new EventOverflowError(`More than ${_COMMAND_STREAM_BUFFER_LIMIT} characters of output arrived before iterating started, and were dropped`)
+        }
+        this._start_iterating()
+        if (this._buffer.length) {
+            return {value: this._buffer.shift(), done: false}
+        }
+        if (this.ended) {
+            if (this._error !== null) {
+                let err = this._error
+                this._error = null
+                throw err
+            }
+            return {value: undefined, done: true}
+        }
+        return new Promise((resolve, reject)=>this._pending.push({resolve, reject}))
     }
-}
-
-const PROTOCOL = _make_enum(["terminal", "", "", "", "files"], {start_value: 0x1})
 
-class _Tunnel {
-    
-    constructor(session, node_id, protocol) {
-        this._session = session
-        this.node_id = node_id
-        this._protocol = protocol
-        this._tunnel_id = null
-        this._eventer = new EventEmitter()
-        this.url = null
-        this._socket_open = new _Deferred()
-        this.initialized = new _Deferred()
-        this.alive = false
+    /**
+     * Stop iterating and discard buffered output. The command keeps running, and events are still emitted.
+     * @return {Promise<Object>} `{value: undefined, done: true}`
+     */
+    async return() {
+        this._iterating = false
+        this._buffer = []
+        this._error = null
+        return {value: undefined, done: true}
     }
 
-    static async create(...args) {
-        if (this === _Tunnel) {
-            throw Error("AbstractClass")
+    _start_iterating() {
+        if (this._iterating === null) {
+            this._iterating = true
         }
-        let t = new this(...args)
-        await t.initialized
-        return t
     }
 
-    close() {
-        this._sock.close()
+    // Starts following output. `nodes` maps each full node id to the keys it was given as.
+    _listen(nodes) {
+        for (let [nodeid, keys] of Object.entries(nodes)) {
+            this._nodes[nodeid] = {keys: keys, turn: null, sent: null, finished: false, released: false}
+            if (this._node_timeout !== null) {
+                this._timers[nodeid] = setTimeout(()=>this._time_out(null, keys), this._node_timeout)
+            }
+        }
+        this._listener = this._session.listen_to_events(this._on_message.bind(this), {action: "msg", type: "console"})
     }
 
-    _on_verify_server(clientName, certs) { return null; }
+    // Gives the stream a device's turn, which it passes on once it is done with the device
+    _queued(nodeid, turn) {
+        this._nodes[nodeid].turn = turn
+        if (this.ended || this._node_done(nodeid)) {
+            this._let_go(nodeid)
+        }
+    }
 
-    _initialize() {
-        this._session._send_command_no_response_id({ "action":"authcookie" }).then((data)=>{
-            // if ((settings.cmd == 'upload') || (settings.cmd == 'download')) { protocol = 5; } // Files
-            if ((this.node_id.split('/') != 3) && (this._session._currentDomain != null)) { this.node_id = 'node/' + this._session._currentDomain + '/' + this.node_id; }
-            this._tunnel_id = this._session._getRandomHex(6);
-            this._session._send_command({ action: 'msg', nodeid: this.node_id, type: 'tunnel', usage: 1, value: '*/meshrelay.ashx?p=' + this._protocol + '&nodeid=' + this.node_id + '&id=' + this._tunnel_id + '&rauth=' + data.rcookie }, "initialize_shell").then((data2)=>{
-                if (data2.result !== "OK") {
-                    this._socket_open.reject(data2)
-                    this.initialized.reject(data2)
-                    return
-                }
-                this.url = this._session.url.replace('/control.ashx', '/meshrelay.ashx?browser=1&p=' + this._protocol + '&nodeid=' + this.node_id + '&id=' + this._tunnel_id + '&auth=' + data.cookie)
+    // Whether the command should still be sent to a device whose turn has come
+    _may_send(nodeid) {
+        return !this.ended && !this._node_done(nodeid)
+    }
 
-                let options = {}
-                if (this._session._ignoreSSL) {
-                    options = { rejectUnauthorized: false, checkServerIdentity: this._on_verify_server }
-                }
+    _sending(nodeid) {
+        this._nodes[nodeid].sent = Date.now()
+    }
 
-                // Setup the HTTP proxy if needed
-                if (this._session._proxy != null) {
-                    options.agent = new https_proxy_agent(urllib.parse(this._session._proxy))
-                }
+    _node_done(nodeid) {
+        return this._nodes[nodeid].keys.every((key)=>this.results[key].complete || this.results[key].timed_out)
+    }
 
-                this._sock = new ws(this.url, options)
+    // Ends the stream's turn on a device. If its command is still running, the next command waits for the rest of its output.
+    _let_go(nodeid) {
+        let node = this._nodes[nodeid]
+        if (node.released || node.turn === null) {
+            return
+        }
+        node.released = true
+        clearTimeout(this._timers[nodeid])
+        if (node.sent !== null && !node.finished) {
+            this._session._drain_console(nodeid, this._single, node.turn.release)
+        } else {
+            node.turn.release()
+        }
+    }
 
-                this._sock.on("open", () => {
-                    this._socket_open.resolve()
-                })
-                this._sock.on('close', (arg, arg2) => {
-                    this.alive = false
-                });
-                this._sock.on('error', (err) => {
-                    this._socket_open.reject(err.code)
-                    this.alive = false
-                });
-                this._sock.on('message', this._receive_message.bind(this))
-            })
-        })
+    _on_message(data) {
+        let domain = this._session._id_domain()
+        let nodeid = Object.keys(this._nodes).find((id)=>_same_id(id, data.nodeid, domain))
+        if (nodeid === undefined || this._nodes[nodeid].sent === null || this._node_done(nodeid)) {
+            return
+        }
+        let node = this._nodes[nodeid]
+        if (this._single || data.value !== "Run commands completed.") {
+            if (!this._single && data.value.startsWith("Run commands")) {
+                return
+            }
+            for (let key of node.keys) {
+                this.results[key].output += data.value
+                this._deliver("data", {type: "data", nodeid: key, chunk: data.value})
+            }
+        }
+        if (this._single || data.value === "Run commands completed.") {
+            node.finished = true
+            for (let key of node.keys) {
+                this.results[key].complete = true
+                this.results[key].duration = Date.now() - node.sent
+                this._deliver("complete", {type: "complete", nodeid: key, output: this.results[key].output})
+            }
+            this._let_go(nodeid)
+            this._end_if_done()
+        }
     }
 
-    _receive_message(raw_data) {
-        throw Error("Receive message unimplemented")
+    // Gives up on `keys`, or on every device still running. `reason` ends the stream, with whatever output there is.
+    _time_out(reason=null, keys=null) {
+        if (this.ended) {
+            return
+        }
+        if (reason !== null) {
+            this.reason = reason
+        }
+        for (let key of keys || Object.keys(this.results)) {
+            let result = this.results[key]
+            if (result.complete || result.timed_out) {
+                continue
+            }
+            result.timed_out = true
+            this._deliver("timeout", {type: "timeout", nodeid: key, output: result.output})
+        }
+        for (let nodeid of Object.keys(this._nodes)) {
+            if (this._node_done(nodeid)) {
+                this._let_go(nodeid)
+            }
+        }
+        this._end_if_done()
     }
-}
 
-class _SizeChunker extends stream.Transform {
-    constructor(size, options) {
-        super(options)
-        this.chunksize = size
-        this._buffer = Buffer.alloc(0)
+    _end_if_done() {
+        if (_.every(Object.values(this.results).map((o)=>o.complete || o.timed_out))) {
+            this._finish()
+            this.emit("end", this.results)
+            this._done.resolve(this.results)
+        }
     }
 
-    _transform(chunk, encoding, callback) {
-        this._buffer = Buffer.concat([this._buffer, chunk])
-        let chunk_start = 0
-        let chunks = []
-        while (chunk_start + this.chunksize < this._buffer.length) {
-            let chunk = this._buffer.slice(chunk_start, chunk_start+this.chunksize)
-            this.push(chunk)
-            chunk_start += this.chunksize
+    _fail(err) {
+        if (this.ended) {
+            return
         }
-        this._buffer = this._buffer.slice(chunk_start)
-        callback()
+        this._finish(err)
+        if (this.listenerCount("error")) {
+            this.emit("error", err)
+        }
+        this._done.reject(err)
     }
 
-    _flush(callback) {
-        this.push(this._buffer)
-        callback()
+    _deliver(name, value) {
+        this.emit(name, value)
+        if (this._pending.length) {
+            this._pending.shift().resolve({value: value, done: false})
+        } else if (this._iterating) {
+            this._buffer.push(value)
+        } else if (this._iterating === null) {
+            this._buffered += value.type === "data" ? value.chunk.length : 0
+            if (this._buffered > _COMMAND_STREAM_BUFFER_LIMIT) {
+                this._iterating = false
+                this._overflowed = true
+                this._buffer = []
+            } else {
+                this._buffer.push(value)
+            }
+        }
     }
-}
 
-/** Class to control a virtual file explorer on a remote device
- * @class
- * @props {boolean} recorded - Whether the file session is being recored. Set in initialization.
+    _finish(err=null) {
+        this.ended = true
+        if (this._listener !== null) {
+            this._session.stop_listening_to_events(this._listener)
+        }
+        this._session._eventer.off("close", this._on_close)
+        if (this._signal) {
+            this._signal.removeEventListener("abort", this._on_abort)
+        }
+        for (let nodeid of Object.keys(this._nodes)) {
+            this._let_go(nodeid)
+        }
+        let pending = this._pending
+        this._pending = []
+        if (err !== null && pending.length) {
+            pending.shift().reject(err)
+            err = null
+        }
+        this._error = err
+        for (let p of pending) {
+            p.resolve({value: undefined, done: true})
+        }
+    }
+}
+
+/**
+ * A command run on many devices by {@link Session#run_job}, a few at a time.
+ *
+ * Emits "attempt" with `{nodeid, name, attempt}` whenever the command is sent to a device, "device" with the device's entry in the report once it is done with, and "end" with the report.
+ * @prop {_JobReport} report - The report, filled in as devices are done with
+ * @prop {Promise<_JobReport>} result - Resolves with the report once every device is done with. Rejects if the devices can't be listed.
+ */
+class _Job extends EventEmitter {
+    constructor(session, command, {concurrency=10, node_timeout=null, retries=0, retry_delay=1000, retry_on=["failed", "timed_out"], wait_online=null, powershell=false, runasuser=false, runasuseronly=false}={}, signal=null) {
+        super()
+        this._session = session
+        this._command = command
+        this._concurrency = Math.max(1, concurrency)
+        this._node_timeout = node_timeout
+        this._retries = retries
+        this._retry_delay = retry_delay
+        this._retry_on = retry_on
+        this._wait_online = wait_online
+        this._options = {powershell: powershell, runasuser: runasuser, runasuseronly: runasuseronly, structured: true}
+        this._signal = signal
+        this._queue = []
+        this._running = 0
+        // Devices waiting to come online or to be retried, with the timer which ends the wait
+        this._waiting = new Map()
+        this._online = {}
+        this._ended = false
+        this._done = new _Deferred()
+        this.result = this._done.promise
+        this.report = new _JobReport(command)
+
+        this._on_connection = (event)=>{
+            this._online[event.nodeid] = !!(event.conn & 1)
+            let wait = this._waiting.get(event.nodeid)
+            if (wait && wait.online && this._online[event.nodeid]) {
+                clearTimeout(wait.timer)
+                this._waiting.delete(event.nodeid)
+                this._queue.push(wait.entry)
+                this._pump()
+            }
+        }
+        session.on("device.connected", this._on_connection)
+        session.on("device.disconnected", this._on_connection)
+        this._on_abort = ()=>this._cancel()
+        if (signal) {
+            signal.addEventListener("abort", this._on_abort)
+        }
+    }
+
+    // Starts the job on `devices`, as listed by the server
+    _start(devices) {
+        for (let device of devices) {
+            this._online[device._id] = !!(device.conn & 1)
+            this._schedule(this.report._add(device))
+        }
+        if (this._signal && this._signal.aborted) {
+            this._cancel()
+        }
+        this._pump()
+    }
+
+    // Queues a device, once it is online and `delay` has passed
+    _schedule(entry, delay=0) {
+        if (delay > 0) {
+            this._waiting.set(entry.nodeid, {entry: entry, online: false, timer: setTimeout(()=>{
+                this._waiting.delete(entry.nodeid)
+                this._schedule(entry)
+                this._pump()
+            }, delay)})
+        } else if (this._online[entry.nodeid]) {
+            this._queue.push(entry)
+        } else if (this._wait_online === null) {
+            this._finish_device(entry, "offline")
+        } else {
+            this._waiting.set(entry.nodeid, {entry: entry, online: true, timer: setTimeout(()=>{
+                this._waiting.delete(entry.nodeid)
+                this._finish_device(entry, "offline")
+                this._pump()
+            }, this._wait_online)})
+        }
+    }
+
+    _pump() {
+        while (!this._ended && this._running < this._concurrency && this._queue.length) {
+            let entry = this._queue.shift()
+            // The device may have gone offline while it was queued
+            if (!this._online[entry.nodeid]) {
+                this._schedule(entry)
+                continue
+            }
+            this._attempt(entry)
+        }
+        if (!this._ended && this._running === 0 && !this._queue.length && !this._waiting.size) {
+            this._end()
+        }
+    }
+
+    async _attempt(entry) {
+        this._running++
+        entry.attempts++
+        entry.status = "running"
+        this.emit("attempt", {nodeid: entry.nodeid, name: entry.name, attempt: entry.attempts})
+        let signal = this._signal
+        if (this._node_timeout !== null) {
+            signal = signal ? AbortSignal.any([signal, AbortSignal.timeout(this._node_timeout)]) : AbortSignal.timeout(this._node_timeout)
+        }
+        let status
+        try {
+            let result = (await this._session.run_command(entry.nodeid, this._command, this._options, signal))[entry.nodeid]
+            Object.assign(entry, result, {error: null})
+            status = result.exit_code === 0 ? "succeeded" : "failed"
+        } catch (err) {
+            if (err.partial) {
+                Object.assign(entry, err.partial[entry.nodeid])
+            }
+            entry.error = err.message
+            if (err instanceof TimeoutError) {
+                status = "timed_out"
+            } else if (err instanceof DeviceOfflineError) {
+                status = "offline"
+            } else {
+                status = "failed"
+            }
+        }
+        this._running--
+        if (this._signal && this._signal.aborted) {
+            this._finish_device(entry, "canceled")
+        } else if (status !== "succeeded" && this._retry_on.includes(status) && entry.attempts <= this._retries) {
+            entry.status = "pending"
+            this._schedule(entry, this._retry_delay)
+        } else {
+            this._finish_device(entry, status)
+        }
+        this._pump()
+    }
+
+    // Gives up on every device which isn't running. Running ones are canceled by the signal.
+    _cancel() {
+        for (let {entry, timer} of this._waiting.values()) {
+            clearTimeout(timer)
+            this._finish_device(entry, "canceled")
+        }
+        this._waiting.clear()
+        for (let entry of this._queue) {
+            this._finish_device(entry, "canceled")
+        }
+        this._queue = []
+        this._pump()
+    }
+
+    _finish_device(entry, status) {
+        entry.status = status
+        this.emit("device", entry)
+    }
+
+    _end() {
+        this._stop()
+        this.report.finished = new Date()
+        this.emit("end", this.report)
+        this._done.resolve(this.report)
+    }
+
+    _fail(err) {
+        if (this._ended) {
+            return
+        }
+        this._stop()
+        this._done.reject(err)
+    }
+
+    _stop() {
+        this._ended = true
+        this._session.off("device.connected", this._on_connection)
+        this._session.off("device.disconnected", this._on_connection)
+        if (this._signal) {
+            this._signal.removeEventListener("abort", this._on_abort)
+        }
+    }
+}
+
+// Columns of a job report exported as CSV
+const _JOB_COLUMNS = ["nodeid", "name", "status", "attempts", "exit_code", "duration", "error", "stdout", "stderr"]
+
+/**
+ * Outcome of a job run by {@link Session#run_job}. `JSON.stringify()` gives the same object as {@link _JobReport#to_json}.
+ * @prop {string} command - The command which was run
+ * @prop {Date} started - When the job started
+ * @prop {?Date} finished - When the last device was done with, or null while the job runs
+ * @prop {Object[]} devices - An entry for each device, with `nodeid`, `name`, `status`, `attempts`, `exit_code`, `stdout`, `stderr`, `duration` and `error`. `status` is "succeeded", "failed", "offline", "timed_out" or "canceled" once the device is done with, and "pending" or "running" until then. A command which exits with anything but 0 has failed.
+ */
+class _JobReport {
+    constructor(command) {
+        this.command = command
+        this.started = new Date()
+        this.finished = null
+        this.devices = []
+    }
+
+    _add(device) {
+        let entry = {nodeid: device._id, name: device.name || null, status: "pending", attempts: 0, exit_code: null, stdout: "", stderr: "", duration: null, error: null}
+        this.devices.push(entry)
+        return entry
+    }
+
+    /**
+     * Count devices by status
+     * @return {Object<string, number>} Number of devices with each status, including those with none
+     */
+    summary() {
+        let summary = {succeeded: 0, failed: 0, offline: 0, timed_out: 0, canceled: 0}
+        for (let entry of this.devices) {
+            summary[entry.status] = (summary[entry.status] || 0) + 1
+        }
+        return summary
+    }
+
+    /**
+     * Get the devices with a status
+     * @param {string} status - Status to look for, such as "failed"
+     * @return {Object[]} Entries of the devices with the status
+     */
+    with_status(status) {
+        return this.devices.filter((entry)=>entry.status === status)
+    }
+
+    /**
+     * The report as a plain object
+     * @return {Object} `{command, started, finished, summary, devices}`
+     */
+    to_json() {
+        return {command: this.command, started: this.started, finished: this.finished, summary: this.summary(), devices: this.devices}
+    }
+
+    toJSON() {
+        return this.to_json()
+    }
+
+    /**
+     * The report as CSV, with a header row and a row for each device
+     * @return {string} CSV text
+     */
+    to_csv() {
+        let cell = (value)=>{
+            value = value === null || value === undefined ? "" : `${value}`
+            return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+        }
+        return [_JOB_COLUMNS, ...this.devices.map((entry)=>_JOB_COLUMNS.map((column)=>entry[column]))].map((row)=>row.map(cell).join(",")).join("\r\n") + "\r\n"
+    }
+}
+
+// Milliseconds a smart shell waits for its prompt when opened without a timeout
+const _SMART_SHELL_PROMPT_TIMEOUT = 30000
+
+// How a smart shell drives each kind of shell. `setup` gives the lines which make `sentinel` followed by "> " the prompt, written so that
+// their echo doesn't contain it. `before` and `status` give the lines typed before and after each command, `status` printing
+// "<sentinel>:<n>:<exit code>:" once the command is done. Their echo doesn't match that either.
+const _SMART_SHELLS = {
+    sh: {
+        newline: "\n",
+        setup: (sentinel)=>[`stty -echo 2>/dev/null; PS1='${sentinel.replace("_", "''_")}> '; PS2=''; unset PROMPT_COMMAND 2>/dev/null`],
+        before: ()=>[],
+        status: (sentinel, n)=>`printf '\\n%s:%s:%s:\\n' '${sentinel.replace("_", "''_")}' ${n} "$?"`,
+    },
+    cmd: {
+        newline: "\r",
+        setup: (sentinel)=>[`prompt ${sentinel}$G$S`],
+        before: ()=>[],
+        status: (sentinel, n)=>`echo ${sentinel}:${n}:%errorlevel%:`,
+    },
+    powershell: {
+        newline: "\r",
+        setup: (sentinel)=>[
+            "powershell -NoLogo -NoProfile -NoExit",
+            `function prompt { '${sentinel.replace("_", "' + '_")}> ' }`,
+            "$ProgressPreference = 'SilentlyContinue'",
+        ],
+        before: ()=>["$global:LASTEXITCODE = $null"],
+        status: (sentinel, n)=>`$meshctrl_ok = $?; '{0}:{1}:{2}:' -f ('${sentinel.replace("_", "' + '_")}'), ${n}, $(if ($LASTEXITCODE -ne $null) { $LASTEXITCODE } elseif ($meshctrl_ok) { 0 } else { 1 })`,
+    },
+}
+
+/**
+ * Wrapper around {@link _Shell} for running one command at a time and getting its output and exit code. It sets the shell's prompt to a marker of its own, and follows each command with a line which prints the command's exit code, so it knows exactly where each command's output ends.
+ * @prop {string} type - Kind of shell: "sh", "cmd" or "powershell"
+ * @prop {_Shell} shell - The underlying shell, which strips escape sequences from its output
+ */
+class _SmartShell {
+    /**
+     * Constructor for _SmartShell. Use {@link Session#smart_shell} instead of calling this directly.
+     * @param {_Shell} shell - The shell object to wrap with our smart shell
+     * @param {string} [type="sh"] - Kind of shell: "sh", "cmd" or "powershell"
+     */
+    constructor(shell, type="sh") {
+        this.shell = shell
+        this.type = type
+        this._sentinel = `meshctrl_${shell._session._getRandomHex(6)}`
+        this._prompt = `${this._sentinel}> `
+        this._count = 0
+        this._queue = Promise.resolve()
+    }
+
+    /**
+     * Wrap a shell and set it up
+     * @param {_Shell} shell - The shell object to wrap with our smart shell
+     * @param {string} [type="sh"] - Kind of shell: "sh", "cmd" or "powershell"
+     * @param {?(number|AbortSignal)} [timeout=null] - Milliseconds to wait for the new prompt, or a signal which cancels the wait. null waits 30 seconds.
+     * @returns {Promise<_SmartShell>} The ready smart shell. If it can't be set up, the shell is closed.
+     * @throws {TimeoutError} The prompt didn't show in time
+     */
+    static async create(shell, type="sh", timeout=null) {
+        let smart = new this(shell, type)
+        let kind = _SMART_SHELLS[type]
+        try {
+            await shell.write(kind.setup(smart._sentinel).map((line)=>line + kind.newline).join(""))
+            await shell.expect(new RegExp(_.escapeRegExp(smart._prompt)), timeout === null ? _SMART_SHELL_PROMPT_TIMEOUT : timeout)
+        } catch (err) {
+            shell.close()
+            if (err instanceof TimeoutError) {
+                throw new TimeoutError("Timed out waiting for the shell prompt")
+            }
+            throw err
+        }
+        return smart
+    }
+
+    /**
+     * @typedef {Object} _SmartShell~Result
+     * @prop {string} output - What the command printed, without the echo of what was typed, and with "\n" line endings
+     * @prop {number} exit_code - Exit code of the command
+     */
+
+    /**
+     * Send a command and wait for it to return. Commands sent while another is running wait for it to finish.
+     * @param {string} command - Command to run. It may have several lines.
+     * @param {number|AbortSignal} [timeout=null] - Milliseconds to wait for the command to finish, or a signal which cancels the wait. A command which times out is interrupted with Ctrl+C, and whatever it prints later is left out of the output of the next command.
+     * @return {Promise<_SmartShell~Result>} - Output and exit code of the command
+     * @throws {Error} Why the wait stopped, as {@link _Shell#expect}
+     */
+    async send_command(command, timeout=null) {
+        let result = this._queue.then(()=>this._run(command, timeout))
+        this._queue = result.catch(()=>{})
+        return result
+    }
+
+    async _run(command, timeout) {
+        let kind = _SMART_SHELLS[this.type]
+        let n = ++this._count
+        let typed = [...kind.before(), ...command.replace(/\r?\n$/, "").split(/\r?\n/), kind.status(this._sentinel, n)]
+        await this.shell.write(typed.map((line)=>line + kind.newline).join(""))
+        let status = new RegExp(`${this._sentinel}:${n}:(-?\\d+):`)
+        let data
+        try {
+            data = (await this.shell.expect(status, timeout)).toString()
+        } catch (err) {
+            if (err instanceof TimeoutError) {
+                // Get the shell back to its prompt for the next command
+                this.shell.write("\x03").catch(()=>{})
+            }
+            throw err
+        }
+        let m = data.match(status)
+        let output = data.slice(0, m.index)
+        // Whatever commands which timed out printed before finishing ends with their status
+        let earlier = [...output.matchAll(new RegExp(`${this._sentinel}:\\d+:-?\\d+:`, "g"))].pop()
+        if (earlier !== undefined) {
+            output = output.slice(earlier.index + earlier[0].length)
+        }
+        let lines = output.split(this._prompt).join("").split("\n").map((line)=>line.replace(/\r+$/, ""))
+        // Shells which echo what is typed show each line once
+        for (let line of typed) {
+            let i = lines.findIndex((l)=>l.trimEnd() === line.trimEnd())
+            if (i !== -1) {
+                lines.splice(i, 1)
+            }
+        }
+        while (lines.length && !lines[0].trim()) { lines.shift() }
+        while (lines.length && !lines[lines.length - 1].trim()) { lines.pop() }
+        return {output: lines.length ? `${lines.join("\n")}\n` : "", exit_code: parseInt(m[1])}
+    }
+
+    get alive() {
+        return this.shell.alive
+    }
+
+    /**
+     * Close this smart shell and the underlying shell
+     */
+    close() {
+        this.shell.close()
+    }
+}
+
+const PROTOCOL = _make_enum(["terminal", "", "", "", "files"], {start_value: 0x1})
+
+class _Tunnel {
+    
+    constructor(session, node_id, protocol) {
+        this._session = session
+        this.node_id = node_id
+        this._protocol = protocol
+        this._tunnel_id = null
+        this._eventer = new EventEmitter()
+        this.url = null
+        this._socket_open = new _Deferred()
+        this.initialized = new _Deferred()
+        this.alive = false
+        this._heartbeat = null
+    }
+
+    static async create(...args) {
+        if (this === _Tunnel) {
+            throw Error("AbstractClass")
+        }
+        let t = new this(...args)
+        await t.initialized
+        return t
+    }
+
+    close() {
+        this._sock.close()
+    }
+
+    _on_verify_server(clientName, certs) { return null; }
+
+    _initialize() {
+        this._session._send_command_no_response_id({ "action":"authcookie" }).then((data)=>{
+            // if ((settings.cmd == 'upload') || (settings.cmd == 'download')) { protocol = 5; } // Files
+            this.node_id = this._session._id("node", this.node_id)
+            this._tunnel_id = this._session._getRandomHex(6);
+            this._session._send_command({ action: 'msg', nodeid: this.node_id, type: 'tunnel', usage: 1, value: '*/meshrelay.ashx?p=' + this._protocol + '&nodeid=' + this.node_id + '&id=' + this._tunnel_id + '&rauth=' + data.rcookie }, "initialize_shell").then((data2)=>{
+                if (data2.result !== "OK") {
+                    let err = this._session._server_error(data2)
+                    this._socket_open.reject(err)
+                    this.initialized.reject(err)
+                    return
+                }
+                this.url = this._session.url.replace('/control.ashx', '/meshrelay.ashx?browser=1&p=' + this._protocol + '&nodeid=' + this.node_id + '&id=' + this._tunnel_id + '&auth=' + (this._session._loginkey ? this._session._login_cookie() : data.cookie))
+
+                let options = {}
+                if (this._session._ignoreSSL) {
+                    options = { rejectUnauthorized: false, checkServerIdentity: this._on_verify_server }
+                }
+
+                // Setup the HTTP proxy if needed
+                if (this._session._proxy != null) {
+                    options.agent = new https_proxy_agent(urllib.parse(this._session._proxy))
+                }
+
+                this._sock = this._session._create_socket(this.url, options)
+
+                this._sock.on("open", () => {
+                    this._socket_open.resolve()
+                    this._heartbeat = this._session._start_heartbeat(this._sock, true, ()=>{
+                        this.alive = false
+                        this._sock.terminate()
+                    })
+                })
+                this._sock.on('close', (arg, arg2) => {
+                    this.alive = false
+                });
+                this._sock.on('error', (err) => {
+                    this._socket_open.reject(new SocketError("Socket Error", err.code))
+                    this.alive = false
+                });
+                this._sock.on('message', this._on_message.bind(this))
+            })
+        }).catch((err)=>{
+            this._socket_open.reject(err)
+            this.initialized.reject(err)
+        })
+    }
+
+    _on_message(raw_data) {
+        // Control messages from the other end share the data channel, so they must never reach the protocol handlers
+        let prefix = `{"ctrlChannel":"${_CTRL_CHANNEL}"`
+        if (raw_data.length > prefix.length && raw_data.slice(0, prefix.length).toString() === prefix) {
+            let cmd = null
+            try { cmd = JSON.parse(raw_data.toString()) } catch (err) { }
+            if (cmd !== null && cmd.ctrlChannel == _CTRL_CHANNEL && cmd.type != null) {
+                if (cmd.type == "ping") {
+                    this._sock.send(JSON.stringify({ctrlChannel: _CTRL_CHANNEL, type: "pong"}))
+                } else if (cmd.type != "pong") {
+                    this._receive_control(cmd)
+                }
+                return
+            }
+        }
+        this._receive_message(raw_data)
+    }
+
+    _receive_message(raw_data) {
+        throw Error("Receive message unimplemented")
+    }
+
+    // Control messages other than pings, such as the server telling us it is waiting for the user to consent
+    _receive_control(cmd) {
+    }
+
+    _send_control(cmd) {
+        return this._sock.send(JSON.stringify(Object.assign({ctrlChannel: _CTRL_CHANNEL}, cmd)))
+    }
+}
+
+class _SizeChunker extends stream.Transform {
+    constructor(size, options) {
+        super(options)
+        this.chunksize = size
+        this._buffer = Buffer.alloc(0)
+    }
+
+    _transform(chunk, encoding, callback) {
+        this._buffer = Buffer.concat([this._buffer, chunk])
+        let chunk_start = 0
+        let chunks = []
+        while (chunk_start + this.chunksize < this._buffer.length) {
+            let chunk = this._buffer.slice(chunk_start, chunk_start+this.chunksize)
+            this.push(chunk)
+            chunk_start += this.chunksize
+        }
+        this._buffer = this._buffer.slice(chunk_start)
+        callback()
+    }
+
+    _flush(callback) {
+        this.push(this._buffer)
+        callback()
+    }
+}
+
+/** Class to control a virtual file explorer on a remote device
+ * @class
+ * @props {boolean} recorded - Whether the file session is being recored. Set in initialization.
  */
 class _Files extends _Tunnel {
     /** Constructor for _Files
@@ -2037,7 +4660,7 @@ class _Files extends _Tunnel {
 
         this.initialized.then(()=>{
             this._sock.on("close", this._on_close.bind(this))
-        })
+        }, ()=>{})
     }
 
     /** Factory for _Files
@@ -2056,431 +4679,3310 @@ class _Files extends _Tunnel {
      */
 
 
-    _get_request_id(){
-        this._request_id = this._request_id++%(2**32-1)
-        return this._request_id
+    _get_request_id(){
+        this._request_id = (this._request_id + 1) % (2**32-1)
+        return this._request_id
+    }
+
+    _on_close() {
+        let req
+        while (req = this._request_queue.shift()) {
+            req.finished.reject(new SocketError("Socket Closed"))
+        }
+    }
+
+    _take_request(request) {
+        let i = this._request_queue.indexOf(request)
+        if (i >= 0) {
+            this._request_queue.splice(i, 1)
+        }
+    }
+
+    // Requests go out one at a time, each once the one before it has finished. `send` sends the request, and may return a
+    // function which withdraws it if it is aborted while in flight. Requests which don't stay queued so their answer is still consumed.
+    _queue_request(request, send, signal) {
+        return _abortable(signal, `File ${request.type} request`, (resolve, reject, cleanup)=>{
+            let withdraw = null,
+                sent = false
+            this._request_queue.push(request)
+            request.finished.then(resolve, reject)
+            let r = ()=>{
+                if (request.aborted) {
+                    return
+                }
+                if (!this.alive) {
+                    this._take_request(request)
+                    request.finished.reject(new SocketError("Socket Closed"))
+                    return
+                }
+                sent = true
+                withdraw = send() || null
+                return request.finished
+            }
+            this._download_finished = this._download_finished.then(r, r)
+            this._download_finished.catch(()=>{})
+            cleanup(()=>{
+                if (request.finished.resolved || request.finished.rejected) {
+                    return
+                }
+                request.aborted = true
+                if (withdraw !== null) {
+                    withdraw()
+                } else if (!sent) {
+                    this._take_request(request)
+                }
+                // Let the requests behind this one go ahead
+                request.finished.reject(new Error("Aborted"))
+            })
+        })
+    }
+
+    async _send_command(data, name, timeout=null) {
+        if (!this.alive) {
+            throw new SocketError("Socket Closed")
+        }
+        let id = `meshctrl_${name}_${this._get_request_id()}`
+        let request = {id: id, type: name, finished: new _Deferred()}
+        return this._queue_request(request, ()=>{
+            this._sock.send(JSON.stringify(Object.assign({}, data, { responseid: id })))
+        }, this._session._signal(timeout))
+    }
+
+    // mkdir, rm and rename are answered with server events instead of on the tunnel
+    async _send_logged_command(data, name, result, timeout=null) {
+        if (!this.alive) {
+            throw new SocketError("Socket Closed")
+        }
+        let id = `meshctrl_${name}_${this._get_request_id()}`
+        let request = {id: id, type: name, finished: new _Deferred()}
+        return this._queue_request(request, ()=>{
+            let stop = ()=>{
+                this._session.stop_listening_to_events(l)
+                this._session.stop_listening_to_events(l2)
+            }
+            let l = this._session.listen_to_events((data)=>{
+                stop()
+                this._take_request(request)
+                request.finished.resolve(result(data))
+            }, {"event": {"etype": "node", "action": "agentlog"}})
+            let l2 = this._session.listen_to_events((message)=>{
+                stop()
+                this._take_request(request)
+                request.finished.reject(_server_error(message.value, Object.assign({nodeid: this.node_id}, data), message))
+            }, {action:"msg", type:"console"})
+            this._sock.send(JSON.stringify(Object.assign({}, data, { responseid: id })))
+            return ()=>{
+                stop()
+                this._take_request(request)
+            }
+        }, this._session._signal(timeout))
+    }
+
+    /** Return a directory listing from the device
+     * @param {string} directory - Path to the directory you wish to list
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<Object[]>} - An array of objects representing the directory listing
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    async ls(directory, timeout=null) {
+        return this._send_command({action: "ls", path: directory}, "ls", timeout).then(data=>{
+            return data.dir
+        })
+    }
+
+    /** Return a directory listing from the device
+     * @param {string} directory - Path to the directory you wish to list
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<boolean>} - True if firectory creation succeeded
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    async mkdir(directory, timeout=null) {
+        return this._send_logged_command({action: "mkdir", path: directory}, "mkdir", ()=>true, timeout)
+    }
+
+    /** Remove files/folder from the device. This API doesn't error if the file doesn't exist.
+     * @param {string} path - Directory from which to delete files
+     * @param {string} files - Array of filenames to remove
+     * @param {boolean} [recursive=false] - Whether to delete the files recursively
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<string>} - Message returned from server
+     * @throws {ServerError} Error text from server if there is a failure
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    async rm(path, files, recursive=false, timeout=null) {
+        if (typeof(files) === "string") { files = [files] }
+        return this._send_logged_command({action: "rm", delfiles: files, rec: recursive, path: path}, "mkdir", (data)=>data.event.msg, timeout)
+    }
+
+    /** Rename a file or folder on the device. This API doesn't error if the file doesn't exist.
+     * @param {string} path - Directory from which to rename the file
+     * @param {string} name - File which to rename
+     * @param {string} new_name - New name to give the file
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<string>} - Message returned from server
+     * @throws {ServerError} Error text from server if there is a failure
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    async rename(path, name, new_name, timeout=null) {
+        return this._send_logged_command({action: "rename", path: path, oldname: name, newname: new_name}, "rename", (data)=>data.event.msg, timeout)
+    }
+
+    /** Upload a stream to the device
+     * @param {ReadableStream} source - Stream from which to read the data
+     * @param {string} target - Directory on the device to upload into
+     * @param {Object} [options={}]
+     * @param {string} [options.name=null] - Name of the file to create in `target`
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the upload to finish, or a signal which cancels it. The session's `default_timeout` doesn't apply.
+     * @returns {Promise<Object>} - {result: "success", size: number of bytes uploaded}
+     * @throws {TransferError} With `result` "error" and `size` bytes uploaded, if the device reports a failure
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Upload timed out
+     */
+    async upload(source, target, {name=null}={}, timeout=null) {
+        if (source.readableEnded) {
+            throw Error("Cannot upload from ended readable")
+        }
+        let request_id = `upload_${this._get_request_id()}`
+        let outstream = new _SizeChunker(65564)
+        let request = {id: request_id, type: "upload", source: source, chunker: outstream, target: target, name: name, size: 0, chunks: [], complete: false, has_data: new _Deferred(), inflight: 0, finished: new _Deferred()}
+        return this._queue_request(request, ()=>{
+            let command = { action: 'upload', reqid: request_id, path: target, name: name}
+            this._sock.send(JSON.stringify(command))
+            let on_done = (data)=>{
+                let req = this._request_queue.shift()
+                if (data.result == "success") {
+                    req.finished.resolve(data)
+                } else {
+                    req.finished.reject(new TransferError(`${data.result}: ${data.size} bytes uploaded`, data.result, data.size, {command: command, ids: {nodeid: this.node_id, path: target}, response: data}))
+                }
+            }
+            this._eventer.once(request_id, on_done)
+            return ()=>{
+                this._eventer.off(request_id, on_done)
+                request.source.unpipe(request.chunker)
+                request.chunker.removeAllListeners("data")
+                request.chunker.removeAllListeners("end")
+                // The request stays at the head of the queue to soak up acks which are already on their way
+                this._sock.send(JSON.stringify({ action: 'uploadcancel', reqid: request_id }))
+            }
+        }, this._session._signal(timeout, false))
+    }
+
+    /** Download a file from the device into a stream
+     * @param {string} source - Path of the file on the device
+     * @param {WritableStream} target - Stream to write the data to. It is ended when the download finishes or is aborted.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for the download to finish, or a signal which cancels it. The session's `default_timeout` doesn't apply.
+     * @returns {Promise<Object>} - {result: "success", size: number of bytes downloaded}
+     * @throws {TransferError} With `result` "canceled" and `size` bytes downloaded, if the device can't send the file
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Download timed out
+     */
+    async download(source, target, timeout=null) {
+        let request_id = `download_${this._get_request_id()}`
+        let request = {id: request_id, type: "download", source: source, target: target, size: 0, finished: new _Deferred()}
+        return this._queue_request(request, ()=>{
+            let command = { action: 'download', sub: 'start', id: request_id, path: source }
+            this._sock.send(JSON.stringify(command))
+            let on_done = (data)=>{
+                let req = this._request_queue.shift()
+                if (data.result == "success") {
+                    req.finished.resolve(data)
+                } else {
+                    req.finished.reject(new TransferError(`${data.result}: ${data.size} bytes downloaded`, data.result, data.size, {command: command, ids: {nodeid: this.node_id, path: source}, response: data}))
+                }
+            }
+            this._eventer.once(request_id, on_done)
+            return ()=>{
+                this._eventer.off(request_id, on_done)
+                // The request stays at the head of the queue to soak up the frame which is already on its way
+                this._sock.send(JSON.stringify({ action: 'download', sub: 'stop', id: request_id }))
+                request.target.end()
+            }
+        }, this._session._signal(timeout, false))
+    }
+
+    // An aborted transfer stays at the head of the queue until the messages already sent for it have arrived.
+    // Returns whether raw_data was one of those, and otherwise takes the transfer out of the queue.
+    _drain_aborted(req, raw_data) {
+        let cmd = null
+        if (raw_data[0] === 123) {
+            try { cmd = JSON.parse(raw_data.toString()) } catch (err) { }
+        }
+        if (req.type === "download" && (cmd === null || (cmd.action == "download" && cmd.id == req.id))) {
+            // Only one message is ever in flight during a download, and the agent sends nothing after the stop
+            this._take_request(req)
+            return true
+        }
+        if (req.type === "upload" && cmd !== null && cmd.reqid == req.id) {
+            return true
+        }
+        this._take_request(req)
+        return false
+    }
+
+    _handle_upload(raw_data, req) {
+        var cmd = null;
+        try { cmd = JSON.parse(raw_data.toString()); } catch (ex) { return; }
+        if (cmd.reqid == req.id) {
+            if (cmd.action == "uploaddone") {
+                this._eventer.emit(req.id, {result: "success", size: req.size})
+            } else if (cmd.action === "uploadstart") {
+                req.chunker.on("data", (new_buf) => {
+                    let buf = Buffer.alloc(65565)
+                    let len = new_buf.length
+                    var start = 1;
+                    new_buf.copy(buf, start)
+                    if (len > 0) {
+                        req.size += len
+                        if ((buf[1] == 0) || (buf[1] == 123)) { start = 0; buf[0] = 0; len++; } // If the buffer starts with 0 or 123, we must add an extra 0 at the start of the buffer
+                        this._sock.send(buf.slice(start, start + len))
+                        req.inflight++
+                    }
+                })
+                req.chunker.on("end", ()=>{
+                    req.complete = true
+                    if (req.inflight == 0) {
+                        this._sock.send(JSON.stringify({ action: 'uploaddone', reqid: req.id}))
+                    }
+                })
+                req.source.pipe(req.chunker)
+            } else if (cmd.action === "uploadack") {
+                req.inflight--
+                if (req.complete && req.inflight == 0) {
+                    this._sock.send(JSON.stringify({ action: 'uploaddone', reqid: req.id}))
+                }
+            } else if (cmd.action == 'uploaderror') {
+                this._eventer.emit(req.id, {result: "error", size: req.size})
+            }
+        }
+    }
+
+    _handle_download(raw_data, req) {
+        let cmd = null
+        try {
+            cmd = JSON.parse(raw_data.toString());
+        } catch (err) { }
+        if (cmd === null) {
+            if (raw_data.length > 4) {
+                req.target.write(raw_data.slice(4))
+                req.size += raw_data.length-4
+            }
+            if ((raw_data[3] & 1) != 0) { // Check end flag
+                req.target.end()
+                this._eventer.emit(req.id, {result: "success", size: req.size})
+            } else {
+               this._sock.send(JSON.stringify({ action: 'download', sub: 'ack', id: req.id })) // Send the ACK
+            }
+        } else {
+            if (cmd.action == 'download') {
+                if (cmd.id != req.id) return;
+                if (cmd.sub == 'start') {
+                    this._sock.send(JSON.stringify({ action: 'download', sub: 'startack', id: req.id }))
+                } else if (cmd.sub == 'cancel') {
+                    req.target.end()
+                    this._eventer.emit(req.id, {result: "canceled", size: req.size})
+                }
+            }
+        }
+    }
+
+    _handle_action(raw_data) {
+        var data = null;
+        data = JSON.parse(raw_data)
+        let req = this._request_queue.shift()
+        req.finished.resolve(data)
+    }
+
+    _receive_message(raw_data) {
+        var data = raw_data.toString();
+        if (this.initialized.resolved) {
+            while (this._request_queue.length && this._request_queue[0].aborted && ["upload", "download"].includes(this._request_queue[0].type)) {
+                if (this._drain_aborted(this._request_queue[0], raw_data)) {
+                    return
+                }
+            }
+            if (raw_data[0] === 123 && this._request_queue.length && !["upload", "download"].includes(this._request_queue[0].type)) {
+                this._handle_action(raw_data)
+            }
+            else if (this._request_queue.length && this._request_queue[0].type === "upload") {
+                this._handle_upload(raw_data, this._request_queue[0])
+            } else if (this._request_queue.length && this._request_queue[0].type === "download") {
+                this._handle_download(raw_data, this._request_queue[0])
+            }
+        } else {
+            this.recorded = false
+            if (data == "cr") {
+                this.recorded = true
+            }
+            this._sock.send(Buffer.from(`${this._protocol}`))
+            this.initialized.resolve()
+            this.alive = true
+        }
+    }
+}
+
+/** Screen of a terminal, as drawn by the output of a shell, so full screen programs like top can be read as text. It follows cursor movement, erasing, scrolling and the alternate screen, and ignores colors and other attributes.
+ * @prop {number} cols - Width of the screen
+ * @prop {number} rows - Height of the screen
+ * @prop {Object} cursor - Position of the cursor as {row, col}, counted from 0
+ */
+class _VirtualScreen {
+    /** Constructor for _VirtualScreen
+     * @param {number} [cols=80] - Width of the screen
+     * @param {number} [rows=24] - Height of the screen
+     */
+    constructor(cols=80, rows=24) {
+        this.cols = cols
+        this.rows = rows
+        this.cursor = {row: 0, col: 0}
+        this._grid = this._blank(rows)
+        this._top = 0
+        this._bottom = rows - 1
+        this._saved = null
+        this._main = null
+        this._rest = ""
+    }
+
+    /** Lines of the screen, without trailing spaces
+     * @type {string[]}
+     */
+    get lines() {
+        return this._grid.map((line)=>line.join("").trimEnd())
+    }
+
+    /** Text of the screen, without trailing spaces or blank lines at the bottom
+     * @returns {string} The lines of the screen joined by newlines
+     */
+    text() {
+        return this.lines.join("\n").trimEnd()
+    }
+
+    /** Draw terminal output on the screen
+     * @param {string} data - Output, with any escape sequences. A sequence cut off at the end is finished by the next write.
+     */
+    write(data) {
+        let {tokens, rest} = _ansi_split(this._rest + data)
+        this._rest = rest
+        for (let token of tokens) {
+            if (token.text !== undefined) {
+                for (let c of token.text) {
+                    this._put(c)
+                }
+            } else if (token.final !== null) {
+                this._csi(token.params, token.final)
+            } else if (token.esc !== null) {
+                this._esc(token.esc)
+            }
+        }
+    }
+
+    /** Change the size of the screen, keeping what fits
+     * @param {number} cols - New width
+     * @param {number} rows - New height
+     */
+    resize(cols, rows) {
+        let fit = (grid)=>{
+            grid = grid.slice(Math.max(grid.length - rows, 0)).map((line)=>line.slice(0, cols).concat(Array(Math.max(cols - line.length, 0)).fill(" ")))
+            return grid.concat(this._blank(rows - grid.length, cols))
+        }
+        this.cursor.row = Math.max(Math.min(this.cursor.row - Math.max(this._grid.length - rows, 0), rows - 1), 0)
+        this.cursor.col = Math.min(this.cursor.col, cols - 1)
+        this._grid = fit(this._grid)
+        if (this._main !== null) {
+            this._main = fit(this._main)
+        }
+        this.cols = cols
+        this.rows = rows
+        this._top = 0
+        this._bottom = rows - 1
+    }
+
+    _blank(rows, cols=this.cols) {
+        return Array.from({length: rows}, ()=>Array(cols).fill(" "))
+    }
+
+    _put(c) {
+        let cursor = this.cursor
+        if (c === "\r") {
+            cursor.col = 0
+        } else if (c === "\n" || c === "\x0b" || c === "\x0c") {
+            this._line_feed()
+        } else if (c === "\b") {
+            cursor.col = Math.max(Math.min(cursor.col, this.cols - 1) - 1, 0)
+        } else if (c === "\t") {
+            cursor.col = Math.min((Math.floor(cursor.col / 8) + 1) * 8, this.cols - 1)
+        } else if (c >= " " && c !== "\x7f") {
+            // Writing past the last column wraps only once there is something to write
+            if (cursor.col >= this.cols) {
+                cursor.col = 0
+                this._line_feed()
+            }
+            this._grid[cursor.row][cursor.col] = c
+            cursor.col += 1
+        }
+    }
+
+    _line_feed() {
+        if (this.cursor.row === this._bottom) {
+            this._scroll(1)
+        } else if (this.cursor.row < this.rows - 1) {
+            this.cursor.row += 1
+        }
+    }
+
+    // Moves the lines of the scroll region up by `n`, or down if `n` is negative, filling in with blank lines
+    _scroll(n, top=this._top, bottom=this._bottom) {
+        let region = this._grid.slice(top, bottom + 1),
+            blank = this._blank(Math.min(Math.abs(n), region.length))
+        region = n > 0 ? region.slice(blank.length).concat(blank) : blank.concat(region.slice(0, region.length - blank.length))
+        this._grid.splice(top, region.length, ...region)
+    }
+
+    _erase(row, from, to) {
+        this._grid[row].fill(" ", Math.max(from, 0), Math.min(to, this.cols))
+    }
+
+    _csi(params, final) {
+        let private_mode = /^[?<=>]/.test(params)
+        let args = params.replace(/^[?<=>]/, "").split(";").map((p)=>p === "" ? null : parseInt(p))
+        let n = Math.max(args[0] || 1, 1)
+        let cursor = this.cursor
+        let clamp = ()=>{
+            cursor.row = Math.max(Math.min(cursor.row, this.rows - 1), 0)
+            cursor.col = Math.max(Math.min(cursor.col, this.cols - 1), 0)
+        }
+        switch (final) {
+            case "A": cursor.row = Math.max(cursor.row - n, cursor.row >= this._top ? this._top : 0); clamp(); break
+            case "B": cursor.row = Math.min(cursor.row + n, cursor.row <= this._bottom ? this._bottom : this.rows - 1); clamp(); break
+            case "C": cursor.col += n; clamp(); break
+            case "D": cursor.col = Math.min(cursor.col, this.cols - 1) - n; clamp(); break
+            case "E": cursor.row += n; cursor.col = 0; clamp(); break
+            case "F": cursor.row -= n; cursor.col = 0; clamp(); break
+            case "G": case "`": cursor.col = n - 1; clamp(); break
+            case "d": cursor.row = n - 1; clamp(); break
+            case "H": case "f": cursor.row = (args[0] || 1) - 1; cursor.col = (args[1] || 1) - 1; clamp(); break
+            case "J": {
+                let mode = args[0] || 0
+                let [from, to] = mode === 0 ? [cursor.row + 1, this.rows] : (mode === 1 ? [0, cursor.row] : [0, this.rows])
+                for (let row = from; row < to; row++) {
+                    this._erase(row, 0, this.cols)
+                }
+                if (mode === 0) { this._erase(cursor.row, cursor.col, this.cols) }
+                if (mode === 1) { this._erase(cursor.row, 0, cursor.col + 1) }
+                break
+            }
+            case "K": {
+                let mode = args[0] || 0
+                this._erase(cursor.row, mode === 0 ? cursor.col : 0, mode === 1 ? cursor.col + 1 : this.cols)
+                break
+            }
+            case "L": case "M":
+                if (cursor.row >= this._top && cursor.row <= this._bottom) {
+                    this._scroll(final === "M" ? n : -n, cursor.row, this._bottom)
+                    cursor.col = 0
+                }
+                break
+            case "S": this._scroll(n); break
+            case "T": this._scroll(-n); break
+            case "P": case "@": case "X": {
+                let line = this._grid[cursor.row],
+                    col = Math.min(cursor.col, this.cols - 1)
+                let blank = Array(Math.min(n, this.cols - col)).fill(" ")
+                if (final === "P") {
+                    line.splice(col, blank.length)
+                    line.push(...blank)
+                } else if (final === "@") {
+                    line.splice(col, 0, ...blank)
+                    line.length = this.cols
+                } else {
+                    line.splice(col, blank.length, ...blank)
+                }
+                break
+            }
+            case "r":
+                if (!private_mode) {
+                    this._top = Math.max((args[0] || 1) - 1, 0)
+                    this._bottom = Math.min((args[1] || this.rows) - 1, this.rows - 1)
+                    cursor.row = 0
+                    cursor.col = 0
+                }
+                break
+            case "s": this._esc("7"); break
+            case "u": this._esc("8"); break
+            case "h": case "l":
+                if (private_mode && args.some((a)=>[47, 1047, 1049].includes(a))) {
+                    this._alternate(final === "h", args.includes(1049))
+                }
+                break
+        }
+    }
+
+    _esc(final) {
+        let cursor = this.cursor
+        switch (final) {
+            case "7": this._saved = Object.assign({}, cursor); break
+            case "8":
+                if (this._saved !== null) {
+                    Object.assign(cursor, this._saved)
+                }
+                break
+            case "D": this._line_feed(); break
+            case "E": cursor.col = 0; this._line_feed(); break
+            case "M":
+                if (cursor.row === this._top) {
+                    this._scroll(-1)
+                } else if (cursor.row > 0) {
+                    cursor.row -= 1
+                }
+                break
+            case "c":
+                this._grid = this._blank(this.rows)
+                this._top = 0
+                this._bottom = this.rows - 1
+                this._main = null
+                Object.assign(cursor, {row: 0, col: 0})
+                break
+        }
+    }
+
+    // Switches to the alternate screen, which full screen programs draw on, or back to the main one
+    _alternate(on, save_cursor) {
+        if (on && this._main === null) {
+            if (save_cursor) { this._esc("7") }
+            this._main = this._grid
+            this._grid = this._blank(this.rows)
+        } else if (!on && this._main !== null) {
+            this._grid = this._main
+            this._main = null
+            if (save_cursor) { this._esc("8") }
+        }
+    }
+}
+
+/** Record of a shell dialogue, made by {@link _Shell#dialogue}, in the order things happened
+ * @prop {Array<_Transcript~Entry>} entries - Everything read and sent
+ */
+class _Transcript {
+    constructor() {
+        this.entries = []
+        this._start = Date.now()
+    }
+
+    /**
+     * @typedef {Object} _Transcript~Entry
+     * @prop {number} time - Milliseconds since the dialogue started
+     * @prop {string|number} step - Name, or index if it has none, of the step
+     * @prop {string} direction - "read" for output the step matched, "sent" for what it sent, and "unread" for output which was waiting when it failed
+     * @prop {string} data - The text
+     */
+
+    /** Add an entry to the transcript
+     * @param {string|number} step - Name or index of the step
+     * @param {string} direction - "read", "sent" or "unread"
+     * @param {string} data - The text
+     */
+    record(step, direction, data) {
+        this.entries.push({time: Date.now() - this._start, step: step, direction: direction, data: data})
+    }
+
+    /** The transcript as text, for logging. Each entry is a line with its time in seconds, step, direction and data, which is quoted as JSON so control characters show.
+     * @return {string}
+     */
+    toString() {
+        return this.entries.map((entry)=>`${(entry.time / 1000).toFixed(3)} ${entry.step} ${entry.direction} ${JSON.stringify(entry.data)}`).join("\n")
+    }
+
+    toJSON() {
+        return this.entries
+    }
+}
+
+// Checks the steps of a dialogue and puts each in the form {label, timeout, alternatives}, with every `expect` made a
+// RegExp which isn't global, since String.match doesn't give the index of global matches, and every `next` made an index
+let _dialogue_steps = (steps)=>{
+    if (!Array.isArray(steps) || !steps.length) {
+        throw new ValueError("A dialogue needs a list of steps")
+    }
+    steps = steps.map((step, index)=>{
+        if (Array.isArray(step)) {
+            step = {alternatives: step}
+        }
+        if (!_.isPlainObject(step) || !Array.isArray(step.alternatives) || !step.alternatives.length) {
+            throw new ValueError(`Dialogue step ${index} needs a list of alternatives`)
+        }
+        if (step.name !== undefined && step.name !== null && typeof step.name !== "string") {
+            throw new ValueError(`Dialogue step ${index} has a name which isn't a string`)
+        }
+        return {label: step.name ?? index, timeout: step.timeout, alternatives: step.alternatives}
+    })
+    let labels = steps.map((step)=>step.label)
+    if (_.uniq(labels).length !== labels.length) {
+        throw new ValueError("Dialogue step names must be unique")
+    }
+    for (let step of steps) {
+        step.alternatives = step.alternatives.map((alternative)=>{
+            if (!_.isPlainObject(alternative)) {
+                throw new ValueError(`Dialogue step ${step.label} has an alternative which isn't an object`)
+            }
+            let expect = alternative.expect
+            if (typeof expect === "string") {
+                expect = new RegExp(expect)
+            } else if (expect instanceof RegExp) {
+                expect = new RegExp(expect.source, expect.flags.replace(/[gy]/g, ""))
+            } else if (expect !== undefined) {
+                throw new ValueError(`Dialogue step ${step.label} expects something which isn't a RegExp`)
+            }
+            let next = alternative.next
+            if (next !== undefined) {
+                next = typeof next === "number" ? next : labels.indexOf(next)
+                if (!Number.isInteger(next) || next < 0 || next >= steps.length) {
+                    throw new ValueError(`Dialogue step ${step.label} goes to unknown step ${alternative.next}`)
+                }
+            }
+            return Object.assign({}, alternative, {expect: expect, next: next})
+        })
+    }
+    return steps
+}
+
+/** Tees everything a shell reads and writes into an asciicast v2 file, which asciinema or {@link CastPlayer} can play, and a plain text transcript. Made by the `record` option of {@link Session#shell}.
+ *
+ * The cast has a header line, then one line per event: `[seconds, "o", text]` for output, `[seconds, "i", text]` for input and `[seconds, "r", "COLSxROWS"]` for a resize. The transcript is the output with escape sequences and carriage returns taken out, so input shows in it only as far as the device echoes it.
+ * @prop {?Error} error - The first error writing a file the recorder opened. Nothing more is written to that file.
+ */
+class _ShellRecorder {
+    /** Constructor for _ShellRecorder
+     * @param {string|Object} record - Path of the cast, with the transcript next to it as a ".txt" file, or `{cast, transcript}`, each a path or a writable stream, to write either or both
+     * @param {Object} [terminal={}] - `cols`, `rows` and `term` of the shell, and a `title` for the cast
+     */
+    constructor(record, {cols=null, rows=null, term=null, title=null}={}) {
+        if (typeof record === "string") {
+            record = {cast: record, transcript: record.replace(/\.cast$/, "") + ".txt"}
+        }
+        this.error = null
+        // Streams we were given are left open for their owner
+        this._owned = []
+        let open = (target)=>{
+            if (typeof target === "string") {
+                target = fs.createWriteStream(target)
+                target.on("error", (err)=>this._fail(target, err))
+                this._owned.push(target)
+            }
+            return target || null
+        }
+        this._cast = open(record.cast)
+        this._transcript = open(record.transcript)
+        this._start = Date.now()
+        this._ansi_rest = ""
+        this._closed = null
+        let header = _.omitBy({version: 2, width: cols || 80, height: rows || 24, timestamp: Math.floor(this._start / 1000), title: title, env: term ? {TERM: term} : null}, _.isNull)
+        this._write_cast(JSON.stringify(header))
+    }
+
+    /** Factory for _ShellRecorder, which waits until the files it writes are open
+     * @param {string|Object} record - As for the constructor
+     * @param {Object} [terminal={}] - As for the constructor
+     * @returns {Promise<_ShellRecorder>} Instance of _ShellRecorder
+     * @throws {Error} A file couldn't be opened, such as because its directory doesn't exist
+     */
+    static async create(record, terminal={}) {
+        let recorder = new _ShellRecorder(record, terminal)
+        try {
+            await Promise.all(recorder._owned.map((target)=>new Promise((resolve, reject)=>{
+                target.once("open", resolve)
+                target.once("error", reject)
+            })))
+        } catch (err) {
+            recorder.close()
+            throw err
+        }
+        return recorder
+    }
+
+    /** Record output from the shell
+     * @param {string} data - Output as it came, with its escape sequences
+     */
+    output(data) {
+        this._event("o", data)
+        if (this._transcript !== null && this._closed === null) {
+            let {tokens, rest} = _ansi_split(this._ansi_rest + data)
+            this._ansi_rest = rest
+            this._transcript.write(_ansi_text(tokens).replace(/\r/g, ""))
+        }
+    }
+
+    /** Record input sent to the shell
+     * @param {string} data - What was sent
+     */
+    input(data) {
+        this._event("i", data)
+    }
+
+    /** Record the terminal being resized
+     * @param {number} cols - New width
+     * @param {number} rows - New height
+     */
+    resize(cols, rows) {
+        this._event("r", `${cols}x${rows}`)
+    }
+
+    /**
+     * Stop recording, and close the files the recorder opened. Called when the shell closes.
+     * @returns {Promise} Resolved once everything is written
+     */
+    close() {
+        if (this._closed === null) {
+            this._closed = Promise.all(this._owned.map((s)=>new Promise((resolve)=>s.end(resolve))))
+        }
+        return this._closed
+    }
+
+    _event(type, data) {
+        this._write_cast(JSON.stringify([(Date.now() - this._start) / 1000, type, data]))
+    }
+
+    // Stops writing to a file which failed, and keeps the error to show why the recording is missing
+    _fail(target, err) {
+        if (this.error === null) {
+            this.error = err
+        }
+        this._owned = this._owned.filter((s)=>s !== target)
+        if (this._cast === target) {
+            this._cast = null
+        }
+        if (this._transcript === target) {
+            this._transcript = null
+        }
+    }
+
+    _write_cast(line) {
+        if (this._cast !== null && this._closed === null) {
+            this._cast.write(line + "\n")
+        }
+    }
+}
+
+/** Class for Mesh Central agent shell
+ * @prop {_Deferred} initialized - Promise which is resolved when session is initialized, and rejected upon failure
+ * @prop {bool} alive - Whether the session is currently alive
+ * @prop {?number} cols - Width of the terminal, if it was set
+ * @prop {?number} rows - Height of the terminal, if it was set
+ * @prop {string} ansi - How escape sequences in the output are handled: "raw", "strip" or "screen", as for {@link Session#shell}
+ * @prop {?_VirtualScreen} screen - Screen drawn by the output, for shells opened with `ansi` "screen"
+ * @prop {?string} console_message - Last message the server sent about the session, such as that it is waiting for the user to consent
+ * @prop {number} buffer_limit - Bytes of unread output to hold before reading from the device stops until some is read. Doesn't apply while a read or expect is waiting. Defaults to 1 MiB.
+ * @prop {?_ShellRecorder} recording - Recorder of everything read and written, for shells opened with `record`*/
+class _Shell extends _Tunnel {
+
+    /** Constructor for _Shell
+     * @param {Session} session - Session representing a logged in user
+     * @param {string} node_id - Node on which to open the shell
+     * @param {Object} [options={}] - Terminal options, as for {@link Session#shell}
+     * @returns {_Shell} Instance of _Shell
+     */
+    constructor(session, node_id, {cols=null, rows=null, term=null, ansi="raw", record=null}={}) {
+        super(session, node_id, PROTOCOL.terminal)
+        this.recorded = null
+        this.cols = cols
+        this.rows = rows
+        this.term = term
+        this.ansi = ansi
+        this.screen = ansi === "screen" ? new _VirtualScreen(cols || 80, rows || 24) : null
+        this.console_message = null
+        if (record && !(record instanceof _ShellRecorder)) {
+            record = new _ShellRecorder(record, {cols: cols, rows: rows, term: term, title: node_id})
+        }
+        this.recording = record || null
+        this._ansi_rest = ""
+        this.buffer_limit = _SHELL_BUFFER_LIMIT
+        this._buffer = Buffer.alloc(0)
+        this._message_queue = []
+        this._command_id = 0
+        this._closed = false
+        this._paused = false
+        this._waiting = 0
+        this._stream = null
+        this._stream_wants = false
+
+        this._initialize()
+
+        this.initialized.then(()=>{
+            this._sock.on("close", this._on_close.bind(this))
+        }, ()=>{
+            if (this.recording !== null) {
+                this.recording.close()
+            }
+        })
+    }
+
+    /** Factory for _Shell
+     * @name _Shell.create
+     * @function
+     * @static
+     * @param {Session} session - Session representing a logged in user
+     * @param {string} node_id - Node on which to open the shell
+     * @returns {_Shell} Instance of _Shell which has been initialized
+     */
+
+    /** Write to the shell
+     * @param {string} command - String to write to the shell
+     * @return {Promise} Resolved when data is sent. No verification is performed.
+     */
+    async write(command) {
+        // The protocol sent while opening isn't part of the session
+        if (this.recording !== null && this.initialized.resolved) {
+            this.recording.input(String(command))
+        }
+        return this._sock.send(Buffer.from(command))
+    }
+
+    /** Read from the shell
+     * @param {number} [length=null] - Number of bytes to read. null == read whatever has arrived, without waiting
+     * @param {number|AbortSignal} [timeout=null] - Milliseconds to wait for data, or a signal which cancels the read. null == read until `length` bytes are read, or shell is closed.
+     * @param {boolean} [return_intermediate=false] - If timeout occurs, return all data read. Otherwise, leave it in the buffer.
+     * @return {Promise<Buffer>} Buffer of data read
+     * @throws {TimeoutError} The timeout passed. `reason` is "timeout", and `data` holds what was read so far, if `return_intermediate` is set.
+     * @throws {SocketError} The shell closed, with `reason` "closed" and `data` as above
+     * @throws {Error} An "AbortError" if the signal was aborted, with `reason` "aborted" and `data` as above
+     */
+    async read(length=null, timeout=null, return_intermediate=false) {
+        return this._wait_for(()=>{
+            if (length === null) {
+                if (!this._buffer.length && this._closed) {
+                    return undefined
+                }
+                return this._take(this._buffer.length)
+            }
+            return this._buffer.length >= length ? this._take(length) : undefined
+        }, timeout, return_intermediate ? ()=>this._take(length === null ? this._buffer.length : length) : null)
+    }
+
+    /** Read data from the shell until `regex` is seen
+     * @param {regex} regex - Regular expression to wait for in the shell
+     * @param {number|AbortSignal} [timeout=null] - Milliseconds to wait for data, or a signal which cancels the wait. null == read until `regex` is seen, or shell is closed.
+     * @param {boolean} [return_intermediate=false] - If timeout occurs, return all data read. Otherwise, leave it in the buffer.
+     * @return {Promise<Buffer>} Buffer of data read
+     * @throws {TimeoutError} The timeout passed. `reason` is "timeout", and `data` holds what was read so far, if `return_intermediate` is set.
+     * @throws {SocketError} The shell closed, with `reason` "closed" and `data` as above
+     * @throws {Error} An "AbortError" if the signal was aborted, with `reason` "aborted" and `data` as above
+     */
+    async expect(regex, timeout=null, return_intermediate=false) {
+        return this._wait_for(()=>{
+            let m = this._buffer.toString().match(regex)
+            if (m === null) {
+                return undefined
+            }
+            // The match is found in the decoded text, but the buffer is cut in bytes
+            return this._take(Buffer.byteLength(this._buffer.toString().slice(0, m.index + m[0].length)))
+        }, timeout, return_intermediate ? ()=>this._take(this._buffer.length) : null)
+    }
+
+    // Resolves with what `check` returns, trying it now and whenever data arrives, until it returns something other than
+    // undefined. If the shell closes or `timeout` stops the wait first, rejects as `_read_error` says, with `data` set by `intermediate`.
+    _wait_for(check, timeout, intermediate=null) {
+        let start = new Date()
+        let signal = timeout instanceof AbortSignal ? timeout : null
+        return new Promise((resolve, reject)=>{
+            let timer = null
+            let done = ()=>{
+                this._waiting -= 1
+                this._check_buffer()
+                this._eventer.off("data", attempt)
+                this._eventer.off("close", attempt)
+                if (signal !== null) {
+                    signal.removeEventListener("abort", attempt)
+                }
+                clearTimeout(timer)
+            }
+            let attempt = ()=>{
+                try {
+                    let value = check()
+                    if (value !== undefined) {
+                        done()
+                        resolve(value)
+                    } else if (this._read_stopped(start, timeout)) {
+                        done()
+                        let err = this._read_error(timeout)
+                        if (intermediate !== null) {
+                            err.data = intermediate()
+                        }
+                        reject(err)
+                    }
+                } catch (err) {
+                    done()
+                    reject(err)
+                }
+            }
+            this._waiting += 1
+            this._check_buffer()
+            this._eventer.on("data", attempt)
+            this._eventer.on("close", attempt)
+            if (signal !== null) {
+                signal.addEventListener("abort", attempt)
+            } else if (timeout !== null) {
+                timer = setTimeout(attempt, Math.max(timeout, 0) + 1)
+            }
+            attempt()
+        })
+    }
+
+    // Removes the first `length` bytes from the buffer, and lets the device send more if that makes room
+    _take(length) {
+        let data = this._buffer.slice(0, length)
+        this._buffer = this._buffer.slice(length)
+        this._check_buffer()
+        return data
+    }
+
+    // Stops reading from the relay while the buffer is over `buffer_limit`, so a device can't fill memory faster than we read.
+    // A read or expect which is waiting needs the data whatever its size, so it keeps the relay going.
+    _check_buffer() {
+        let full = this._buffer.length >= this.buffer_limit && !this._waiting
+        if (full === this._paused || !this._sock || typeof this._sock.pause !== "function") {
+            return
+        }
+        this._paused = full
+        full ? this._sock.pause() : this._sock.resume()
+        // Pongs wait behind the data we aren't reading, so silence means nothing while paused
+        if (this._heartbeat) {
+            this._heartbeat.paused = full
+        }
+    }
+
+    // Moves buffered data into `stream` for as long as it asks for more, and ends it once the shell has closed
+    _pump() {
+        if (this._stream === null || !this._stream_wants) {
+            return
+        }
+        if (this._buffer.length) {
+            this._stream_wants = this._stream.push(this._take(this._buffer.length))
+        }
+        if (this._closed && !this._buffer.length) {
+            this._stream_wants = false
+            this._stream.push(null)
+        }
+    }
+
+    /** Change the size of the terminal, as a terminal window being resized does
+     * @param {number} cols - New width
+     * @param {number} rows - New height
+     * @return {Promise} Resolved when the request is sent
+     */
+    async resize(cols, rows) {
+        this.cols = cols
+        this.rows = rows
+        if (this.screen !== null) {
+            this.screen.resize(cols, rows)
+        }
+        if (this.recording !== null) {
+            this.recording.resize(cols, rows)
+        }
+        return this._send_control({type: "termsize", cols: cols, rows: rows})
+    }
+
+    /** Wait until `regex` matches the text of {@link _Shell#screen}. Only for shells opened with `ansi` "screen".
+     * @param {regex} regex - Regular expression to wait for on the screen
+     * @param {number|AbortSignal} [timeout=null] - Milliseconds to wait, or a signal which cancels the wait. null == wait until `regex` matches, or shell is closed.
+     * @return {Promise<string>} Text of the screen when it matched
+     * @throws {ValueError} The shell has no screen
+     * @throws {TimeoutError} The timeout passed, with `reason` "timeout"
+     * @throws {SocketError} The shell closed, with `reason` "closed"
+     * @throws {Error} An "AbortError" if the signal was aborted, with `reason` "aborted"
+     */
+    async expect_screen(regex, timeout=null) {
+        if (this.screen === null) {
+            throw new ValueError("Shell has no screen. Open it with ansi \"screen\".")
+        }
+        return this._wait_for(()=>{
+            let text = this.screen.text()
+            return text.match(regex) !== null ? text : undefined
+        }, timeout)
+    }
+
+    /**
+     * @typedef {Object} _Shell~DialogueAlternative
+     * @prop {RegExp|string} [expect] - What to wait for in the output. Named groups in the match are added to the dialogue's captures. An alternative without it is taken when none of the others already match, without waiting.
+     * @prop {string|Function} [send] - What to send once it matches, or a function called with the match and the captures so far which returns it, or a promise of it. null or undefined sends nothing.
+     * @prop {string|number} [next] - Name or index of the step to go to next. Defaults to the one after this step, and the dialogue ends after the last step.
+     * @prop {boolean} [done=false] - End the dialogue after this alternative
+     * @prop {string} [fail] - Fail the dialogue with this message when this alternative matches, such as for an error message from an installer
+     */
+
+    /**
+     * @typedef {Object} _Shell~DialogueStep
+     * @prop {string} [name] - Name for `next` to go to, and to show in the transcript instead of the step's index
+     * @prop {number} [timeout] - Milliseconds to wait for one of the alternatives to match. Overrides `step_timeout`, and null waits for as long as the dialogue may.
+     * @prop {Array<_Shell~DialogueAlternative>} alternatives - What the step waits for, and what to do for each
+     */
+
+    /**
+     * @typedef {Object} _Shell~DialogueResult
+     * @prop {Object} captures - Named groups captured by every match, with later matches replacing earlier ones of the same name
+     * @prop {Array<string|number>} steps - Name, or index, of each step run, in order
+     * @prop {_Transcript} transcript - Everything read and sent
+     */
+
+    /** Hold a dialogue with the shell, as for an interactive installer. Each step waits for the first of its alternatives to match the output, sends what that alternative says to, and goes on to the step it names, or else the step after it. When several alternatives match, the one which matches earliest in the output wins. Output is taken out of the buffer up to the end of the match, so a step can loop on itself to read each line of progress.
+     * @example
+     * let {captures} = await shell.dialogue([
+     *     [{send: "./install.sh\n"}],
+     *     {name: "license", alternatives: [
+     *         {expect: /Accept the license\? \[y\/n\]/, send: "y\n"},
+     *         {expect: /already installed/, done: true},
+     *     ]},
+     *     [{expect: /Install to \[(?<dir>[^\]]*)\]/, send: (match)=>`${match.groups.dir}/app\n`}],
+     *     {name: "progress", timeout: 600000, alternatives: [
+     *         {expect: /\d+% done/, next: "progress"},
+     *         {expect: /Error: (?<error>.*)/, fail: "Installer failed"},
+     *         {expect: /Finished/},
+     *     ]},
+     * ], {step_timeout: 30000})
+     * @param {Array<_Shell~DialogueStep|Array<_Shell~DialogueAlternative>>} steps - Steps of the dialogue, starting with the first. A list of alternatives on its own is a step with no name.
+     * @param {Object} [options={}]
+     * @param {number} [options.step_timeout=null] - Milliseconds each step waits for a match, unless it sets its own. null == wait for as long as the dialogue may.
+     * @param {number} [options.max_steps=1000] - Most steps to run, so that a loop which never ends fails
+     * @param {number|AbortSignal} [timeout=null] - Milliseconds for the whole dialogue, or a signal which cancels it. null == no limit.
+     * @return {Promise<_Shell~DialogueResult>} Captures, steps run and transcript
+     * @throws {ValueError} `steps` is malformed, or a `next` names a step which doesn't exist
+     * @throws {DialogueError} A step timed out, the shell closed, the dialogue was aborted, sending failed, an alternative with `fail` matched, or `max_steps` ran out. The error which stopped the step is in `cause`, and the `transcript` shows what happened up to then.
+     */
+    async dialogue(steps, {step_timeout=null, max_steps=1000}={}, timeout=null) {
+        steps = _dialogue_steps(steps)
+        let signal = typeof timeout === "number" ? AbortSignal.timeout(timeout) : timeout
+        let transcript = new _Transcript()
+        let captures = {}
+        let path = []
+        let index = 0
+        while (index < steps.length) {
+            let step = steps[index]
+            let fail = (message, cause=null)=>new DialogueError(`Dialogue step ${step.label} failed: ${message}`, step.label, captures, transcript, cause)
+            if (path.length >= max_steps) {
+                throw fail(`more than ${max_steps} steps were run`)
+            }
+            path.push(step.label)
+
+            let wait = step.timeout === undefined ? step_timeout : step.timeout
+            let signals = [signal, wait === null ? null : AbortSignal.timeout(wait)].filter((s)=>s)
+            let found
+            try {
+                found = await this._wait_for(()=>this._dialogue_match(step.alternatives), signals.length > 1 ? AbortSignal.any(signals) : signals[0] || null)
+            } catch (err) {
+                if (this._buffer.length) {
+                    transcript.record(step.label, "unread", this._buffer.toString())
+                }
+                throw fail(err.message, err)
+            }
+            let {alternative, match, data} = found
+            if (data) {
+                transcript.record(step.label, "read", data)
+            }
+            if (match !== null && match.groups) {
+                Object.assign(captures, _.omitBy(match.groups, _.isUndefined))
+            }
+            if (alternative.fail !== undefined) {
+                throw fail(alternative.fail)
+            }
+
+            try {
+                let send = typeof alternative.send === "function" ? await alternative.send(match, captures) : alternative.send
+                if (send !== undefined && send !== null) {
+                    transcript.record(step.label, "sent", String(send))
+                    await this.write(String(send))
+                }
+            } catch (err) {
+                throw fail(err.message, err)
+            }
+            if (alternative.done) {
+                break
+            }
+            index = alternative.next === undefined ? index + 1 : alternative.next
+        }
+        return {captures: captures, steps: path, transcript: transcript}
+    }
+
+    // The alternative which matches earliest in the buffer, its match and the text up to the end of it, which is taken
+    // out of the buffer. If none matches, an alternative with nothing to expect is taken without a match.
+    _dialogue_match(alternatives) {
+        let text = this._buffer.toString()
+        let best = null
+        for (let alternative of alternatives) {
+            if (alternative.expect === undefined) {
+                continue
+            }
+            let match = text.match(alternative.expect)
+            if (match !== null && (best === null || match.index < best.match.index)) {
+                best = {alternative: alternative, match: match}
+            }
+        }
+        if (best === null) {
+            let fallback = alternatives.find((alternative)=>alternative.expect === undefined)
+            return fallback === undefined ? undefined : {alternative: fallback, match: null, data: ""}
+        }
+        let end = best.match.index + best.match[0].length
+        return Object.assign(best, {data: this._take(Buffer.byteLength(text.slice(0, end))).toString()})
+    }
+
+    /**
+     * This shell as a Node Duplex stream. Whatever is written to it is sent to the shell, and the shell's output can be read from it. Output read from the stream is gone from the buffer, so don't mix it with {@link _Shell#read} or {@link _Shell#expect}. The stream ends when the shell closes, and destroying it closes the shell.
+     * @example
+     * process.stdin.pipe(shell.stream).pipe(process.stdout)
+     * @type {stream.Duplex}
+     */
+    get stream() {
+        if (this._stream === null) {
+            this._stream = new _ShellStream(this)
+        }
+        return this._stream
+    }
+
+    _read_stopped(start, timeout) {
+        if (timeout instanceof AbortSignal) {
+            return timeout.aborted || this._closed
+        }
+        return (timeout !== null && new Date() - start > timeout) || this._closed
+    }
+
+    _read_stop_reason(timeout) {
+        if (this._closed) {
+            return "closed"
+        }
+        if (timeout instanceof AbortSignal && !(timeout.reason && timeout.reason.name === "TimeoutError")) {
+            return "aborted"
+        }
+        return "timeout"
+    }
+
+    // The error a stopped read rejects with. It keeps the `reason` which reads used to reject with
+    _read_error(timeout) {
+        let reason = this._read_stop_reason(timeout),
+            err
+        if (reason === "closed") {
+            err = new SocketError("Shell closed")
+        } else if (reason === "timeout") {
+            err = new TimeoutError("Read timed out")
+        } else {
+            err = new Error("Read aborted", {cause: timeout.reason})
+            err.name = "AbortError"
+        }
+        err.reason = reason
+        return err
+    }
+
+    /**
+     * Close this the shell. No more data can be written, but data can still be read from the current buffer.
+     */
+    close() {
+        this._sock.close()
+    }
+
+    _receive_message(raw_data){
+        var data = raw_data.toString();
+        if (this.initialized.resolved) {
+            if (this.recording !== null) {
+                this.recording.output(data)
+            }
+            if (this.ansi !== "raw") {
+                if (this.screen !== null) {
+                    this.screen.write(data)
+                }
+                let {tokens, rest} = _ansi_split(this._ansi_rest + data)
+                this._ansi_rest = rest
+                data = _ansi_text(tokens)
+            }
+            this._buffer = Buffer.concat([this._buffer, Buffer.from(data)])
+            this._pump()
+            this._check_buffer()
+            this._eventer.emit("data")
+        } else {
+            this.recorded = false
+            if (data == "cr") {
+                this.recorded = true
+            }
+            // The agent starts the terminal with these once it gets the protocol
+            let options = _.omitBy({cols: this.cols, rows: this.rows, term: this.term}, _.isNull)
+            if (!_.isEmpty(options)) {
+                this._send_control(Object.assign({type: "options"}, options))
+            }
+            this.write(`${this._protocol}`); // Terminal
+            this.alive = true
+            this.initialized.resolve()
+        }
+    }
+
+    _receive_control(cmd) {
+        if (cmd.type == "console") {
+            this.console_message = cmd.msg || null
+        }
+    }
+
+    _on_close() {
+        this._closed = true
+        if (this.recording !== null) {
+            this.recording.close()
+        }
+        this._pump()
+        this._eventer.emit("close")
+    }
+}
+
+// Duplex stream over a shell, made by {@link _Shell#stream}
+class _ShellStream extends stream.Duplex {
+    constructor(shell) {
+        super({decodeStrings: true})
+        this._shell = shell
+    }
+
+    _write(chunk, encoding, callback) {
+        try {
+            if (this._shell.recording !== null) {
+                this._shell.recording.input(chunk.toString())
+            }
+            this._shell._sock.send(chunk, (err)=>callback(err || null))
+        } catch (err) {
+            callback(err)
+        }
+    }
+
+    _read(size) {
+        this._shell._stream_wants = true
+        this._shell._pump()
+    }
+
+    _destroy(err, callback) {
+        this._shell.close()
+        callback(err)
+    }
+}
+
+// Fields of device group events which describe the group itself
+const _GROUP_EVENT_FIELDS = ["name", "mtype", "desc", "flags", "consent", "links"]
+
+/**
+ * In-memory inventory of devices and device groups, filled from {@link Session#list_devices} and kept current from the server's device and group events, so there is no need to poll.
+ *
+ * Emits a "change" event with a {@link DeviceStore~Change} for every device or group which is added, changed or removed, and a "sync" event with the list of changes once a full refresh is done. The store refreshes itself whenever the session reconnects, since events are lost while disconnected. If that refresh fails, the error is kept in `sync_error` and emitted as an "error" event, if anything listens for one.
+ * @prop {Object.<string, Object>} devices - Devices by full node id, as returned by {@link Session#list_devices}
+ * @prop {Object.<string, Object>} groups - Device groups by full mesh id, as returned by {@link Session#list_device_groups}
+ * @prop {boolean} synced - Whether the store has been refreshed from the server at least once. A store loaded from disk is not synced until {@link DeviceStore#sync} is done.
+ * @prop {Date} time - When the store was last refreshed from the server, or null
+ * @prop {?Error} sync_error - Why the last refresh after a reconnect failed, until a refresh succeeds
+ */
+class DeviceStore extends EventEmitter {
+    /**
+     * @typedef {Object} DeviceStore~Change
+     * @prop {string} kind - "device" or "group"
+     * @prop {string} op - "added", "changed" or "removed"
+     * @prop {string} id - Full id of the device or group
+     * @prop {Object} before - The device or group before the change, or null if it was added
+     * @prop {Object} after - The device or group after the change, or null if it was removed
+     * @prop {string[]} fields - Top level fields which differ between `before` and `after`
+     */
+
+    /**
+     * @typedef {Object} DeviceStore~Snapshot
+     * @prop {number} version - Format of the snapshot
+     * @prop {string} time - When the store was last refreshed from the server, as an ISO string, or null
+     * @prop {Object.<string, Object>} devices - Devices by full node id
+     * @prop {Object.<string, Object>} groups - Device groups by full mesh id
+     */
+
+    /**
+     * Constructor for DeviceStore. Use {@link DeviceStore.create} instead of calling this directly.
+     * @param {Session} session - Session to fill the store from
+     * @param {Object} [options={}]
+     * @param {string} [options.path=null] - File to warm start the store from, and the default target of {@link DeviceStore#save}
+     */
+    constructor(session, {path=null}={}) {
+        super()
+        this._session = session
+        this._path = path
+        this.devices = {}
+        this.groups = {}
+        this.synced = false
+        this.time = null
+        this.sync_error = null
+        this._pending = null
+        this._on_device = this._on_device.bind(this)
+        this._on_group = this._on_group.bind(this)
+        this._on_reconnected = ()=>this.sync().catch((err)=>{
+            this.sync_error = err
+            if (this.listenerCount("error")) {
+                this.emit("error", err)
+            }
+        })
+        session.on("device.*", this._on_device)
+        session.on("mesh.*", this._on_group)
+        session._eventer.on("reconnected", this._on_reconnected)
+    }
+
+    /**
+     * Factory for DeviceStore
+     * @param {Session} session - Session to fill the store from
+     * @param {Object} [options={}]
+     * @param {string} [options.path=null] - File to warm start the store from, if it exists, and the default target of {@link DeviceStore#save}. The first sync then emits changes for whatever happened since the file was saved.
+     * @param {boolean} [options.sync=true] - Refresh the store from the server before returning. Without this, the store only holds what was loaded from `path` until {@link DeviceStore#sync} is called.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<DeviceStore>} Instance of DeviceStore
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    static async create(session, {path=null, sync=true}={}, timeout=null) {
+        let store = new this(session, {path: path})
+        if (path && fs.existsSync(path)) {
+            store.restore(await DeviceStore.load(path))
+        }
+        if (sync) {
+            await store.sync(timeout)
+        }
+        return store
+    }
+
+    /**
+     * Read a snapshot saved with {@link DeviceStore#save}
+     * @param {string} path - File to read
+     * @returns {Promise<DeviceStore~Snapshot>} The snapshot
+     * @throws {ValueError} File does not hold a snapshot
+     */
+    static async load(path) {
+        let snapshot = JSON.parse(await fs.promises.readFile(path, "utf8"))
+        if (!snapshot || snapshot.version !== 1 || !snapshot.devices || !snapshot.groups) {
+            throw new ValueError(`${path} is not a device store snapshot`)
+        }
+        return snapshot
+    }
+
+    /**
+     * Compare two snapshots
+     * @param {DeviceStore~Snapshot} before - Older snapshot
+     * @param {DeviceStore~Snapshot} after - Newer snapshot
+     * @returns {DeviceStore~Change[]} Every group, then every device, which differs between the two
+     */
+    static diff(before, after) {
+        let changes = []
+        for (let [kind, key] of [["group", "groups"], ["device", "devices"]]) {
+            for (let id of _.union(Object.keys(before[key]), Object.keys(after[key]))) {
+                let change = _store_change(kind, id, before[key][id] || null, after[key][id] || null)
+                if (change) {
+                    changes.push(change)
+                }
+            }
+        }
+        return changes
+    }
+
+    /**
+     * Refresh every device and group from the server. Changes found are emitted as usual. Events which arrive during the refresh are applied after it.
+     * @param {?(number|AbortSignal)} [timeout=null] - duration in milliseconds to wait for a response before throwing an error, or a signal which cancels the call
+     * @returns {Promise<DeviceStore~Change[]>} Changes found by the refresh
+     * @throws {SocketError} Info about socket closure
+     * @throws {TimeoutError} Command timed out
+     */
+    async sync(timeout=null) {
+        let pending = this._pending = this._pending || []
+        let groups, devices
+        try {
+            timeout = this._session._signal(timeout)
+            ;[groups, devices] = await Promise.all([this._session.list_device_groups(timeout), this._session.list_devices({}, timeout)])
+        } finally {
+            if (this._pending === pending) {
+                this._pending = null
+            }
+        }
+        if (!(devices instanceof Array)) {
+            // The server answers with an error object when the user can see no devices
+            devices = []
+        }
+        let after = {version: 1, time: new Date().toISOString(), devices: {}, groups: {}}
+        for (let group of groups || []) {
+            after.groups[group._id] = group
+        }
+        for (let device of devices) {
+            after.devices[device._id] = device
+        }
+        let changes = DeviceStore.diff(this.snapshot(), after)
+        this.devices = after.devices
+        this.groups = after.groups
+        this.synced = true
+        this.sync_error = null
+        this.time = new Date(after.time)
+        for (let change of changes) {
+            this.emit("change", change)
+        }
+        for (let event of pending) {
+            event.type.startsWith("mesh.") ? this._on_group(event) : this._on_device(event)
+        }
+        this.emit("sync", changes)
+        return changes
+    }
+
+    /**
+     * Find a device
+     * @param {string} nodeid - Full id of the device, or the id without its "node/domain/" prefix
+     * @returns {Object|null} The device, or null if it is unknown
+     */
+    get(nodeid) {
+        return this.devices[nodeid] || Object.values(this.devices).find((d)=>_same_id(d._id, nodeid, this._session._id_domain())) || null
+    }
+
+    /**
+     * Get devices whose agent is connected
+     * @param {string} [meshid=null] - Only get devices in this group
+     * @returns {Object[]} Devices which are online
+     */
+    online(meshid=null) {
+        return Object.values(this.devices).filter((d)=>(d.conn & 1) && (meshid === null || d.meshid === meshid))
+    }
+
+    /**
+     * Find devices in the store with a query, without asking the server
+     * @param {string|Object|function} [query=null] - The query, as for {@link Session#find_devices}. null finds every device.
+     * @param {Object} [options={}]
+     * @param {string|string[]} [options.sort=null] - Field, or list of fields, to sort by. Prefix a field with "-" to sort descending.
+     * @param {number} [options.limit=null] - Return at most this many devices
+     * @param {number} [options.offset=0] - Skip this many devices first
+     * @returns {Object[]} Matching devices
+     * @throws {ValueError} Invalid query
+     */
+    find(query=null, {sort=null, limit=null, offset=0}={}) {
+        return _find_devices(Object.values(this.devices), query, {sort: sort, limit: limit, offset: offset})
+    }
+
+    /**
+     * Copy the current state of the store
+     * @returns {DeviceStore~Snapshot} A deep copy, which later changes do not affect
+     */
+    snapshot() {
+        return _.cloneDeep({version: 1, time: this.time ? this.time.toISOString() : null, devices: this.devices, groups: this.groups})
+    }
+
+    /**
+     * Replace the state of the store with a snapshot, without emitting changes
+     * @param {DeviceStore~Snapshot} snapshot - Snapshot from {@link DeviceStore#snapshot} or {@link DeviceStore.load}
+     */
+    restore(snapshot) {
+        snapshot = _.cloneDeep(snapshot)
+        this.devices = snapshot.devices
+        this.groups = snapshot.groups
+        this.time = snapshot.time ? new Date(snapshot.time) : null
+        this.synced = false
+    }
+
+    /**
+     * Write a snapshot of the store to disk, to warm start a later run with {@link DeviceStore.create}
+     * @param {string} [path=null] - File to write. Defaults to the `path` the store was created with.
+     * @returns {Promise} Resolved once written
+     * @throws {ValueError} No path given
+     */
+    async save(path=null) {
+        path = path || this._path
+        if (!path) {
+            throw new ValueError("No path to save the device store to")
+        }
+        await fs.promises.writeFile(path, JSON.stringify(this.snapshot()))
+    }
+
+    /**
+     * Stop following the session. The store keeps its last state.
+     */
+    close() {
+        this._session.off("device.*", this._on_device)
+        this._session.off("mesh.*", this._on_group)
+        this._session._eventer.off("reconnected", this._on_reconnected)
+    }
+
+    _set(kind, id, after) {
+        let key = kind === "group" ? "groups" : "devices"
+        let change = _store_change(kind, id, this[key][id] || null, after)
+        if (after === null) {
+            delete this[key][id]
+        } else {
+            this[key][id] = after
+        }
+        if (change) {
+            this.emit("change", change)
+        }
+    }
+
+    _on_device(event) {
+        if (this._pending) {
+            this._pending.push(event)
+            return
+        }
+        let device = this.devices[event.nodeid] || null
+        if (event.type === "device.removed") {
+            this._set("device", event.nodeid, null)
+            return
+        }
+        if (event.type === "device.added" || (device === null && event.node)) {
+            device = Object.assign({}, event.node)
+        } else if (device === null) {
+            // Nothing to update, the next sync picks the device up
+            return
+        } else if (event.node) {
+            device = Object.assign({}, device, event.node)
+        } else {
+            device = Object.assign({}, device)
+        }
+        if (event instanceof DeviceConnectionEvent) {
+            device.conn = event.conn
+            if (event.power !== null) {
+                device.pwr = event.power
+            }
+        }
+        device._id = event.nodeid
+        if (event.meshid) {
+            device.meshid = event.meshid
+        }
+        if (this.groups[device.meshid]) {
+            device.groupname = this.groups[device.meshid].name
+        }
+        this._set("device", event.nodeid, device)
+    }
+
+    _on_group(event) {
+        if (this._pending) {
+            this._pending.push(event)
+            return
+        }
+        if (event.type === "mesh.removed") {
+            for (let device of Object.values(this.devices).filter((d)=>d.meshid === event.meshid)) {
+                this._set("device", device._id, null)
+            }
+            this._set("group", event.meshid, null)
+            return
+        }
+        let group = Object.assign({_id: event.meshid}, this.groups[event.meshid], _.pick(event.raw.event || event.raw, _GROUP_EVENT_FIELDS))
+        this._set("group", event.meshid, group)
+        for (let device of Object.values(this.devices).filter((d)=>d.meshid === event.meshid && d.groupname !== group.name)) {
+            this._set("device", device._id, Object.assign({}, device, {groupname: group.name}))
+        }
+    }
+}
+
+let _store_change = (kind, id, before, after)=>{
+    if (_.isEqual(before, after)) {
+        return null
+    }
+    let fields = _.union(Object.keys(before || {}), Object.keys(after || {})).filter((k)=>!_.isEqual((before || {})[k], (after || {})[k]))
+    return {kind: kind, op: before === null ? "added" : (after === null ? "removed" : "changed"), id: id, before: before, after: after, fields: fields}
+}
+
+/**
+ * Directory of named scripts for {@link Session#run_script}. A script's variants are the files named after it with the extension of their language: ".sh", ".bash", ".ps1", ".cmd" or ".bat", and ".py". Files are read when a script is used, so edits show up without reloading.
+ * @prop {string} path - Directory holding the scripts
+ */
+class ScriptLibrary {
+    /**
+     * Constructor for ScriptLibrary
+     * @param {string} path - Directory holding the scripts
+     */
+    constructor(path) {
+        this.path = path
+    }
+
+    // Language of a file in the library, or undefined if it isn't a script
+    static _type(file) {
+        return Object.keys(_SCRIPT_TYPES).find((type)=>_SCRIPT_TYPES[type].ext.some((ext)=>file.endsWith(ext) && file.length > ext.length))
+    }
+
+    /**
+     * Names of the scripts in the library
+     * @returns {Promise<string[]>} Sorted names
+     */
+    async names() {
+        let files = await fs.promises.readdir(this.path)
+        return _.sortBy(_.uniq(files.filter((file)=>ScriptLibrary._type(file)).map((file)=>file.slice(0, file.lastIndexOf(".")))))
+    }
+
+    /**
+     * Read a script
+     * @param {string} name - Name of the script
+     * @returns {Promise<Session~Script>} Its variants by language
+     * @throws {ValueError} The library has no script by that name
+     */
+    async get(name) {
+        if (/[\\/]/.test(name)) {
+            throw new ValueError(`Invalid script name: ${name}`)
+        }
+        let files = await fs.promises.readdir(this.path)
+        let script = {}
+        for (let [type, {ext}] of Object.entries(_SCRIPT_TYPES)) {
+            let file = ext.map((ext)=>`${name}${ext}`).find((file)=>files.includes(file))
+            if (file !== undefined) {
+                script[type] = await fs.promises.readFile(`${this.path}/${file}`, "utf8")
+            }
+        }
+        if (!Object.keys(script).length) {
+            throw new ValueError(`No script named ${name} in ${this.path}`)
+        }
+        return script
+    }
+}
+
+// Keys whose values are replaced in recordings, because they carry credentials
+const _REDACT_KEYS = ["pass", "password", "newpass", "oldpass", "token", "tokenPass", "cookie", "rcookie", "auth", "rauth"]
+
+let _redact = (value, keys)=>{
+    if (typeof value === "string") {
+        // Cookies also travel inside urls, such as the tunnel request
+        return value.replace(new RegExp(`([?&](?:${keys.join("|")})=)[^&]*`, "g"), "$1[REDACTED]")
+    }
+    if (value instanceof Array) {
+        return value.map((v)=>_redact(v, keys))
+    }
+    if (value instanceof Object) {
+        return Object.fromEntries(Object.entries(value).map(([k, v])=>[k, keys.includes(k) ? "[REDACTED]" : _redact(v, keys)]))
+    }
+    return value
+}
+
+/**
+ * Records every frame sent and received by a {@link Session} and its tunnels into a JSONL fixture, which {@link ReplayTransport} can play back.
+ *
+ * Each line after the header is an object with `t` (milliseconds since the recording started), `channel` (such as "control:0" or "relay:2"), `event` ("open", "send", "message", "close" or "error") and, for frames, `data`. Binary frames are base64 encoded and marked with `binary: true`.
+ * @prop {number} count - Number of records written so far
+ */
+class SessionRecorder {
+    /**
+     * Constructor for SessionRecorder
+     * @param {string|WritableStream} target - Path of the fixture to write, or a stream to write it to
+     * @param {Object} [options={}]
+     * @param {string[]|boolean} [options.redact] - Keys whose values are replaced with "[REDACTED]", in JSON frames and in url query strings. Defaults to keys which carry passwords, tokens and cookies. false turns redaction off.
+     * @param {function} [options.transport=null] - Transport to record, for chaining with another transport. Defaults to a plain websocket.
+     */
+    constructor(target, {redact=_REDACT_KEYS, transport=null}={}) {
+        this._stream = typeof target === "string" ? fs.createWriteStream(target) : target
+        this._owns_stream = typeof target === "string"
+        this._redact_keys = redact === true ? _REDACT_KEYS : (redact || [])
+        this._inner = transport || _default_transport
+        this._start = Date.now()
+        this._channels = {control: 0, relay: 0}
+        this.count = 0
+        this._stream.write(JSON.stringify({event: "header", version: 1, time: new Date(this._start).toISOString()}) + "\n")
+
+        /**
+         * Transport to pass as the `transport` option of {@link Session}
+         * @member {function}
+         */
+        this.transport = this._open.bind(this)
+    }
+
+    /**
+     * Stop recording and close the fixture, if the recorder opened it
+     * @returns {Promise} Resolved once everything is written
+     */
+    async close() {
+        if (this._owns_stream) {
+            await new Promise((resolve)=>this._stream.end(resolve))
+        }
+    }
+
+    _write(record) {
+        this.count++
+        this._stream.write(JSON.stringify(Object.assign({t: Date.now() - this._start}, record)) + "\n")
+    }
+
+    _frame(channel, event, data) {
+        if (typeof data !== "string") {
+            data = Buffer.from(data)
+            // Text sent as a buffer is still text on the wire, so keep it readable when it is
+            if (data[0] !== 123 || data.includes(0)) {
+                this._write({channel: channel, event: event, data: data.toString("base64"), binary: true})
+                return
+            }
+            data = data.toString()
+        }
+        if (this._redact_keys.length) {
+            try {
+                data = JSON.stringify(_redact(JSON.parse(data), this._redact_keys))
+            } catch (err) {
+                data = _redact(data, this._redact_keys)
+            }
+        }
+        this._write({channel: channel, event: event, data: data})
+    }
+
+    _open(url, options) {
+        let kind = url.includes("meshrelay.ashx") ? "relay" : "control",
+            channel = `${kind}:${this._channels[kind]++}`,
+            sock = this._inner(url, options),
+            send = sock.send.bind(sock)
+        this._write({channel: channel, event: "connect", url: _redact(url, this._redact_keys)})
+        sock.send = (data, ...args)=>{
+            this._frame(channel, "send", data)
+            return send(data, ...args)
+        }
+        sock.on("open", ()=>this._write({channel: channel, event: "open"}))
+        sock.on("message", (data)=>this._frame(channel, "message", data))
+        sock.on("close", (code, reason)=>this._write({channel: channel, event: "close", code: code, reason: `${reason || ""}`}))
+        sock.on("error", (err)=>this._write({channel: channel, event: "error", code: err.code || null, message: err.message}))
+        return sock
+    }
+}
+
+class _ReplaySocket extends EventEmitter {
+    constructor(replay, url) {
+        super()
+        this._replay = replay
+        this.url = url
+        this.readyState = ws.CONNECTING
+    }
+
+    send(data, ...args) {
+        let cb = args.find((a)=>typeof a === "function")
+        this._replay._sent(this, data)
+        if (cb) { setImmediate(cb) }
+    }
+
+    close() {
+        if (this.readyState === ws.CLOSED) { return }
+        this.readyState = ws.CLOSED
+        setImmediate(()=>this.emit("close", 1000, Buffer.alloc(0)))
+        this._replay._pump()
+    }
+
+    terminate() {
+        this.close()
+    }
+
+    ping() {}
+
+    pause() {}
+
+    resume() {}
+}
+
+/**
+ * Transport which plays back a fixture written by {@link SessionRecorder}, so a {@link Session} can run without a server. Pass `transport` as the `transport` option of the session, with any url and credentials.
+ *
+ * Received frames are delivered in recorded order. Whenever the recording shows the client sending a frame, playback waits until the client actually sends one on that channel, which keeps playback in step with the code under test.
+ * @extends EventEmitter
+ * @prop {_Deferred} finished - Resolved once every record has been played
+ * @prop {Object[]} mismatches - Every sent frame which differed from the recording, as `{channel, expected, actual}`
+ * @fires ReplayTransport#mismatch
+ */
+class ReplayTransport extends EventEmitter {
+    /**
+     * Constructor for ReplayTransport
+     * @param {string|Object[]} fixture - Path of a JSONL fixture, or its already parsed records
+     * @param {Object} [options={}]
+     * @param {boolean} [options.realtime=false] - Wait between frames as long as the recording did, instead of delivering them as fast as possible
+     * @param {number} [options.speed=1] - Playback speed multiplier when `realtime` is set
+     * @param {boolean} [options.strict=false] - Fail the channel with an error when a sent frame differs from the recording, instead of only reporting it
+     */
+    constructor(fixture, {realtime=false, speed=1, strict=false}={}) {
+        super()
+        if (typeof fixture === "string") {
+            fixture = fs.readFileSync(fixture, "utf8").split("\n").filter((l)=>l.trim()).map((l)=>JSON.parse(l))
+        }
+        this._records = fixture.filter((r)=>r.event !== "header")
+        this._realtime = realtime
+        this._speed = speed
+        this._strict = strict
+        this._cursor = 0
+        this._sockets = {}
+        this._channels = {control: 0, relay: 0}
+        this._sent_frames = {}
+        this._last_time = null
+        this._waiting = false
+        this._queue = Promise.resolve()
+        this.mismatches = []
+        this.finished = new _Deferred()
+        if (!this._records.length) {
+            this.finished.resolve()
+        }
+
+        /**
+         * Transport to pass as the `transport` option of {@link Session}
+         * @member {function}
+         */
+        this.transport = this._open.bind(this)
+    }
+
+    /**
+     * Mismatch event
+     * @event ReplayTransport#mismatch
+     * @type {Object}
+     * @prop {string} channel - Channel the frame was sent on
+     * @prop {Object} expected - Recorded frame
+     * @prop {string|Buffer} actual - Frame which was sent
+     */
+
+    _open(url, options) {
+        let kind = url.includes("meshrelay.ashx") ? "relay" : "control",
+            channel = `${kind}:${this._channels[kind]++}`,
+            sock = new _ReplaySocket(this, url)
+        sock._channel = channel
+        this._sockets[channel] = sock
+        this._sent_frames[channel] = []
+        setImmediate(()=>this._pump())
+        return sock
+    }
+
+    _sent(sock, data) {
+        this._sent_frames[sock._channel].push(data)
+        this._pump()
+    }
+
+    _compare(record, data) {
+        let expected = record.binary ? Buffer.from(record.data, "base64") : record.data
+        if (typeof data !== "string" && !record.binary) {
+            data = Buffer.from(data).toString()
+        }
+        if (record.binary || typeof data !== "string") {
+            return Buffer.from(expected).length === Buffer.from(data).length
+        }
+        try {
+            // Ids, cookies and timestamps differ between runs, so JSON frames only need the same kind of command
+            let a = JSON.parse(expected),
+                b = JSON.parse(data)
+            return a.action === b.action && a.sub === b.sub && a.type === b.type
+        } catch (err) {
+            return expected === data
+        }
+    }
+
+    // Play records until one needs something from the client which hasn't happened yet
+    _pump() {
+        if (this._waiting) { return }
+        while (this._cursor < this._records.length) {
+            let record = this._records[this._cursor],
+                sock = this._sockets[record.channel]
+            if (!sock) { return }
+            if (sock.readyState === ws.CLOSED && record.event !== "connect") {
+                // The client closed the channel already, so nothing else recorded on it can happen
+                this._cursor++
+                continue
+            }
+            if (record.event === "send") {
+                let sent = this._sent_frames[record.channel]
+                if (!sent.length) { return }
+                let data = sent.shift()
+                if (!this._compare(record, data)) {
+                    let mismatch = {channel: record.channel, expected: record, actual: data}
+                    this.mismatches.push(mismatch)
+                    this.emit("mismatch", mismatch)
+                    if (this._strict) {
+                        this._cursor++
+                        this._deliver(sock, "error", Object.assign(new Error(`Replay mismatch on ${record.channel}`), {code: "EREPLAY"}))
+                        sock.close()
+                        continue
+                    }
+                }
+                this._cursor++
+                continue
+            }
+            if (this._realtime && this._last_time !== null && record.t > this._last_time) {
+                let delay = (record.t - this._last_time) / this._speed
+                this._last_time = record.t
+                this._waiting = true
+                setTimeout(()=>{
+                    this._waiting = false
+                    this._pump()
+                }, delay)
+                return
+            }
+            this._last_time = record.t
+            this._cursor++
+            if (record.event === "open") {
+                sock.readyState = ws.OPEN
+                this._deliver(sock, "open")
+            } else if (record.event === "message") {
+                this._deliver(sock, "message", record.binary ? Buffer.from(record.data, "base64") : Buffer.from(record.data))
+            } else if (record.event === "close") {
+                sock.readyState = ws.CLOSED
+                this._deliver(sock, "close", record.code, Buffer.from(record.reason || ""))
+            } else if (record.event === "error") {
+                this._deliver(sock, "error", Object.assign(new Error(record.message), {code: record.code}))
+            }
+        }
+        this.finished.resolve()
+    }
+
+    _deliver(sock, ...args) {
+        // Keep delivery asynchronous and in order, like a real socket
+        this._queue = this._queue.then(()=>new Promise((resolve)=>setImmediate(()=>{
+            sock.emit(...args)
+            resolve()
+        })))
+    }
+}
+
+/**
+ * Plays an asciicast v2 recording, such as one made with the `record` option of {@link Session#shell}, back to a stream, for reviewing what a script did on a device.
+ * @example
+ * let player = new CastPlayer("session.cast")
+ * await player.play(process.stdout, {speed: 2, max_idle: 1})
+ * @prop {Object} header - Header of the recording, with its `width`, `height`, `timestamp` and the like
+ * @prop {Array<Array>} events - Events of the recording, each `[seconds, type, data]`
+ * @prop {number} duration - Seconds from the start of the recording to its last event
+ */
+class CastPlayer {
+    /**
+     * Constructor for CastPlayer
+     * @param {string|Array} recording - Path of an asciicast file, or its already parsed lines: the header, then the events
+     * @throws {ValueError} The recording isn't asciicast v2
+     */
+    constructor(recording) {
+        if (typeof recording === "string") {
+            recording = fs.readFileSync(recording, "utf8").split("\n").filter((l)=>l.trim()).map((l)=>JSON.parse(l))
+        }
+        let [header, ...events] = recording
+        if (!header || header.version !== 2) {
+            throw new ValueError("Not an asciicast v2 recording")
+        }
+        this.header = header
+        this.events = events
+        this.duration = events.length ? events[events.length - 1][0] : 0
+    }
+
+    /**
+     * Write the output of the recording to a stream, waiting between events as long as the recording did
+     * @param {stream.Writable} output - Stream to write to, such as `process.stdout`
+     * @param {Object} [options={}]
+     * @param {number} [options.speed=1] - Playback speed multiplier
+     * @param {?number} [options.max_idle] - Most seconds to wait between events. Defaults to the recording's `idle_time_limit`, if it has one. null waits as long as the recording did.
+     * @param {boolean} [options.input=false] - Write the input too, for recordings of shells which didn't echo it
+     * @param {?(number|AbortSignal)} [timeout=null] - Milliseconds after which playback stops, or a signal which stops it. null == play to the end.
+     * @returns {Promise} Resolved when the last event has been written
+     * @throws {TimeoutError} The timeout passed
+     * @throws {Error} The signal's reason, if it was aborted
+     */
+    async play(output, {speed=1, max_idle=undefined, input=false}={}, timeout=null) {
+        if (max_idle === undefined) {
+            max_idle = this.header.idle_time_limit ?? null
+        }
+        let signal = typeof timeout === "number" ? AbortSignal.timeout(timeout) : timeout
+        return _abortable(signal, "Playback", async (resolve, reject, cleanup)=>{
+            let stopped = false,
+                timer = null,
+                wake = null
+            cleanup(()=>{
+                stopped = true
+                clearTimeout(timer)
+                if (wake !== null) { wake() }
+            })
+            let last = 0
+            for (let [time, type, data] of this.events) {
+                let wait = time - last
+                last = time
+                if (max_idle !== null) {
+                    wait = Math.min(wait, max_idle)
+                }
+                if (wait > 0) {
+                    await new Promise((r)=>{
+                        wake = r
+                        timer = setTimeout(r, wait * 1000 / speed)
+                    })
+                }
+                if (stopped) {
+                    return
+                }
+                if (type === "o" || (input && type === "i")) {
+                    if (!output.write(data)) {
+                        await EventEmitter.once(output, "drain")
+                    }
+                }
+            }
+            resolve()
+        })
+    }
+}
+
+// Commands the real server answers without echoing a responseid, and the action it answers with
+const _MOCK_REPLY_ACTIONS = {createLoginToken: "loginTokenAdded"}
+
+let _mock_normalize_path = (path)=>{
+    path = ("/" + `${path}`.replace(/\\/g, "/")).replace(/\/+/g, "/")
+    if (path.length > 1 && path.endsWith("/")) {
+        path = path.slice(0, -1)
+    }
+    return path
+}
+
+let _mock_join_path = (path, name)=>_mock_normalize_path(`${path}/${name}`)
+
+let _mock_parent_path = (path)=>path.slice(0, path.lastIndexOf("/")) || "/"
+
+// Splits a line for the mock shell into commands at ";", and each command into words with quotes removed and `$?` and variables
+// expanded. `text` is the command as it was typed.
+let _mock_sh_parse = (line, vars, status)=>{
+    let commands = [],
+        words = [],
+        word = null,
+        quote = null,
+        start = 0
+    let expand = (rest)=>{
+        let m = rest.match(/^\$(\?|[A-Za-z_]\w*)/)
+        if (m === null) {
+            return null
+        }
+        return {value: m[1] === "?" ? `${status}` : (vars[m[1]] || ""), length: m[0].length}
+    }
+    let finish = (end)=>{
+        if (word !== null) { words.push(word) }
+        if (words.length) { commands.push({text: line.slice(start, end).trim(), words: words}) }
+        words = []
+        word = null
+        start = end + 1
+    }
+    for (let i = 0; i < line.length; i++) {
+        let c = line[i]
+        if (quote === "'") {
+            if (c === "'") { quote = null } else { word += c }
+        } else if (c === "$" && expand(line.slice(i)) !== null) {
+            let {value, length} = expand(line.slice(i))
+            word = (word || "") + value
+            i += length - 1
+        } else if (quote === '"') {
+            if (c === '"') { quote = null } else { word += c }
+        } else if (c === "'" || c === '"') {
+            quote = c
+            word = word || ""
+        } else if (c === "\\" && i + 1 < line.length) {
+            word = (word || "") + line[++i]
+        } else if (c === ";") {
+            finish(i)
+        } else if (/\s/.test(c)) {
+            if (word !== null) { words.push(word) }
+            word = null
+        } else {
+            word = (word || "") + c
+        }
+    }
+    finish(line.length)
+    return commands
+}
+
+// The mock shell's printf, which knows %s, %d and %% and the usual backslash escapes
+let _mock_printf = (format, args)=>{
+    let i = 0
+    return format.replace(/\\([nrt\\])/g, (m, c)=>({n: "\n", r: "\r", t: "\t", "\\": "\\"})[c]).replace(/%([sd%])/g, (m, c)=>c === "%" ? "%" : `${args[i++] ?? ""}`)
+}
+
+// Output from a command handler, as the pieces to send. A string is sent in one piece.
+let _mock_chunks = (out)=>{
+    if (out instanceof Array || (out && typeof out !== "string" && out[Symbol.asyncIterator])) {
+        return out
+    }
+    return [out]
+}
+
+/**
+ * Fake device served by a {@link MockServer}. Assign the `on_command`, `on_console` and `shell` hooks to script how the device behaves.
+ * @prop {Object} node - The node object as the server reports it in device lists
+ * @prop {Object} sysinfo - System information returned by `getsysinfo`
+ * @prop {Object} netinfo - Network information returned by `getnetworkinfo`
+ * @prop {MockDevice~CommandHandler} on_command - Produces the output of commands sent through `runcommands`, and of lines typed into the default shell
+ * @prop {MockDevice~ConsoleHandler} on_console - Produces the output of mesh agent console commands
+ * @prop {MockDevice~ShellHandler} shell - Drives a terminal tunnel. Defaults to a line based shell which feeds every command to `on_command`, splitting lines at ";". It handles variables, `printf` and `stty echo` itself, which is enough for {@link Session#smart_shell}, and a handler which throws sets `$?` to 1.
+ * @prop {string} prompt - Prompt printed by the default shell, until it sets PS1
+ * @prop {boolean} recorded - Whether tunnels to this device report that they are being recorded
+ */
+class MockDevice {
+    /**
+     * @callback MockDevice~CommandHandler
+     * @param {string} command - Command to run
+     * @param {Object} options
+     * @param {number} options.type - Type of command, as given to `runcommands`. 0 in the default shell.
+     * @param {number} options.runAsUser - Whether to run as the logged in user, as given to `runcommands`
+     * @returns {string|string[]|AsyncIterable<string>|Promise<string>} Output of the command. An array or async iterable is sent a piece at a time, as agents send the output of long running commands.
+     */
+
+    /**
+     * @callback MockDevice~ConsoleHandler
+     * @param {string} command - Console command to run
+     * @returns {string|Promise<string>} Output of the command
+     */
+
+    /**
+     * @callback MockDevice~ShellHandler
+     * @param {EventEmitter} terminal - Emits `data` with every string the client sends, and `control` with every parsed control channel message. Has `write(string)`, `control(message)` and `close()` methods, `options` holding the options the client asked for, such as `term`, and `cols` and `rows` which follow resizes.
+     */
+
+    /**
+     * Constructor for MockDevice. Use {@link MockServer#add_device} instead of calling this directly.
+     * @param {MockServer} server - Server the device belongs to
+     * @param {Object} node - Node object as it should appear in device lists
+     * @param {Object} [options={}]
+     * @param {Object} [options.sysinfo=null] - System information returned by `getsysinfo`
+     * @param {Object} [options.netinfo=null] - Network information returned by `getnetworkinfo`
+     * @param {Object<string, string|Buffer>} [options.files={}] - Initial files on the device by path. Parent folders are created as needed.
+     * @param {MockDevice~CommandHandler} [options.on_command=null] - See the property of the same name
+     * @param {MockDevice~ConsoleHandler} [options.on_console=null] - See the property of the same name
+     * @param {MockDevice~ShellHandler} [options.shell=null] - See the property of the same name
+     * @param {string} [options.prompt="$ "] - Prompt printed by the default shell
+     * @param {boolean} [options.recorded=false] - Whether tunnels to this device report that they are being recorded
+     */
+    constructor(server, node, {sysinfo=null, netinfo=null, files={}, on_command=null, on_console=null, shell=null, prompt="$ ", recorded=false}={}) {
+        this._server = server
+        this.node = node
+        this.sysinfo = sysinfo || { hardware: { identifiers: {} }, osdesc: node.osdesc }
+        this.netinfo = netinfo || { netif2: {} }
+        this.on_command = on_command || ((command)=>{
+            let m = command.match(/^\s*echo\s+(.*)$/)
+            return m ? `${m[1]}\n` : ""
+        })
+        this.on_console = on_console || ((command)=>`${command}: command not found`)
+        this.shell = shell || this._default_shell.bind(this)
+        this.prompt = prompt
+        this.recorded = recorded
+        this._fs = new Map([["/", null]])
+        for (let [path, data] of Object.entries(files)) {
+            this.write_file(path, data)
+        }
+    }
+
+    /** Unique id of the device */
+    get id() {
+        return this.node._id
+    }
+
+    /** Whether the agent is connected */
+    get online() {
+        return Boolean(this.node.conn & 1)
+    }
+
+    /** Connect or disconnect the agent, sending the matching event to every client */
+    set online(value) {
+        this.node.conn = value ? (this.node.conn | 1) : (this.node.conn & ~1)
+        this.node.pwr = value ? 1 : 0
+        if (!value) {
+            this.node.lastconnect = Date.now()
+        }
+        this._server.emit_event({etype: "node", action: "nodeconnect", nodeid: this.id, meshid: this.node.meshid, conn: this.node.conn, pwr: this.node.pwr})
+        if (!value) {
+            for (let tunnel of this._server._relays) {
+                if (tunnel.device === this) {
+                    tunnel.sock.close()
+                }
+            }
+        }
+    }
+
+    /** Create or replace a file on the device
+     * @param {string} path - Absolute path of the file
+     * @param {string|Buffer} data - Contents of the file
+     */
+    write_file(path, data) {
+        path = _mock_normalize_path(path)
+        this.mkdir(_mock_parent_path(path))
+        this._fs.set(path, Buffer.from(data))
+    }
+
+    /** Read a file from the device
+     * @param {string} path - Absolute path of the file
+     * @returns {Buffer|null} Contents of the file, or null if it doesn't exist
+     */
+    read_file(path) {
+        return this._fs.get(_mock_normalize_path(path)) || null
+    }
+
+    /** Create a folder, and its parents, on the device
+     * @param {string} path - Absolute path of the folder
+     */
+    mkdir(path) {
+        path = _mock_normalize_path(path)
+        while (!this._fs.has(path)) {
+            this._fs.set(path, null)
+            path = _mock_parent_path(path)
+        }
+    }
+
+    /** List a folder on the device, in the format the agent uses
+     * @param {string} path - Absolute path of the folder
+     * @returns {Object[]|null} Entries with `n` name, `t` type (2 folder, 3 file), `s` size and `d` date, or null if there is no such folder
+     */
+    ls(path) {
+        path = _mock_normalize_path(path)
+        if (!this._fs.has(path) || this._fs.get(path) !== null) {
+            return null
+        }
+        let out = []
+        for (let [p, data] of this._fs) {
+            if (p !== "/" && _mock_parent_path(p) === path) {
+                out.push({n: p.slice(p.lastIndexOf("/")+1), t: data === null ? 2 : 3, s: data === null ? 0 : data.length, d: new Date().toISOString()})
+            }
+        }
+        return out
+    }
+
+    _remove(path, recursive) {
+        path = _mock_normalize_path(path)
+        for (let p of [...this._fs.keys()]) {
+            if (p === path || (recursive && p.startsWith(`${path}/`))) {
+                this._fs.delete(p)
+            }
+        }
+    }
+
+    _rename(path, name, new_name) {
+        let from = _mock_join_path(path, name),
+            to = _mock_join_path(path, new_name)
+        for (let [p, data] of [...this._fs]) {
+            if (p === from || p.startsWith(`${from}/`)) {
+                this._fs.delete(p)
+                this._fs.set(to + p.slice(from.length), data)
+            }
+        }
+    }
+
+    // A shell which passes each command to `on_command`. It knows just enough sh to be driven by a smart shell: commands
+    // separated by ";", variables, with PS1 setting the prompt, `$?`, `printf`, and `stty` turning echo on and off.
+    _default_shell(terminal) {
+        let line = "",
+            echo = true,
+            prompt = this.prompt,
+            vars = {},
+            status = 0,
+            queue = Promise.resolve()
+        let run = async (command)=>{
+            for (let {text, words} of _mock_sh_parse(command, vars, status)) {
+                if (words[0] === "stty") {
+                    echo = words.includes("echo") || (echo && !words.includes("-echo"))
+                } else if (words.length && words.every((w)=>/^[A-Za-z_]\w*=/.test(w))) {
+                    for (let w of words) {
+                        vars[w.slice(0, w.indexOf("="))] = w.slice(w.indexOf("=") + 1)
+                    }
+                    prompt = vars.PS1 === undefined ? prompt : vars.PS1
+                } else if (words[0] === "unset") {
+                    words.slice(1).forEach((w)=>{ delete vars[w] })
+                } else if (words[0] === "printf") {
+                    terminal.write(_mock_printf(words[1] || "", words.slice(2)).replace(/\r?\n/g, "\r\n"))
+                } else {
+                    status = 0
+                    try {
+                        for await (let out of _mock_chunks(await this.on_command(text, {type: 0, runAsUser: 0}))) {
+                            if (out) {
+                                terminal.write(`${out}`.replace(/\r?\n/g, "\r\n"))
+                            }
+                        }
+                    } catch (err) {
+                        terminal.write(`${err.message}\r\n`)
+                        status = 1
+                    }
+                    continue
+                }
+                status = 0
+            }
+        }
+        terminal.write(prompt)
+        terminal.on("data", (data)=>{
+            queue = queue.then(async ()=>{
+                for (let c of data) {
+                    if (c === "\r" || c === "\n") {
+                        if (c === "\n" && line === null) { continue }
+                        let command = line || ""
+                        line = c === "\r" ? null : ""
+                        if (echo) {
+                            terminal.write("\r\n")
+                        }
+                        await run(command)
+                        terminal.write(prompt)
+                    } else if (c === "\x03") {
+                        line = ""
+                        terminal.write(echo ? `^C\r\n${prompt}` : prompt)
+                    } else {
+                        line = (line || "") + c
+                        if (echo) {
+                            terminal.write(c)
+                        }
+                    }
+                }
+            })
+        })
+    }
+}
+
+class _MockTerminal extends EventEmitter {
+    constructor(sock, options={}) {
+        super()
+        this._sock = sock
+        this.options = options
+        this.cols = options.cols || null
+        this.rows = options.rows || null
+    }
+
+    write(data) {
+        if (this._sock.readyState === ws.OPEN) {
+            this._sock.send(Buffer.from(data))
+        }
+    }
+
+    control(cmd) {
+        if (this._sock.readyState === ws.OPEN) {
+            this._sock.send(JSON.stringify(Object.assign({ctrlChannel: _CTRL_CHANNEL}, cmd)))
+        }
+    }
+
+    close() {
+        this._sock.close()
+    }
+
+    _receive_message(raw_data) {
+        let data = raw_data.toString()
+        if (data.startsWith(`{"ctrlChannel":"${_CTRL_CHANNEL}"`)) {
+            let cmd = null
+            try { cmd = JSON.parse(data) } catch (err) { }
+            if (cmd !== null) {
+                if (cmd.type === "ping") {
+                    this._sock.send(JSON.stringify({ctrlChannel: _CTRL_CHANNEL, type: "pong"}))
+                } else if (cmd.type === "termsize") {
+                    this.cols = cmd.cols
+                    this.rows = cmd.rows
+                }
+                this.emit("control", cmd)
+                return
+            }
+        }
+        this.emit("data", data)
+    }
+}
+
+class _MockFileSession {
+    constructor(server, device, sock, userid) {
+        this._server = server
+        this._device = device
+        this._sock = sock
+        this._userid = userid
+        this._upload = null
+        this._download = null
+    }
+
+    _send(data) {
+        this._sock.send(JSON.stringify(data))
+    }
+
+    _log(msgid, msg, args) {
+        this._server.emit_event({etype: "node", action: "agentlog", nodeid: this._device.id, userid: this._userid, msgid: msgid, msgArgs: args, msg: msg})
+    }
+
+    _receive_message(raw_data) {
+        if (raw_data[0] !== 123) {
+            // Binary upload data. A leading 0 escapes data which would otherwise start with 0 or "{"
+            if (this._upload !== null) {
+                this._upload.chunks.push(raw_data[0] === 0 ? raw_data.slice(1) : raw_data)
+                this._send({action: "uploadack", reqid: this._upload.reqid})
+            }
+            return
+        }
+        let cmd = JSON.parse(raw_data.toString())
+        if (cmd.ctrlChannel == _CTRL_CHANNEL) {
+            if (cmd.type === "ping") {
+                this._send({ctrlChannel: _CTRL_CHANNEL, type: "pong"})
+            }
+            return
+        }
+        let device = this._device
+        switch (cmd.action) {
+            case "ls": {
+                this._send({action: "ls", reqid: cmd.reqid, path: cmd.path, dir: device.ls(cmd.path)})
+                break
+            }
+            case "mkdir": {
+                device.mkdir(cmd.path)
+                this._log(44, `Create folder: "${cmd.path}"`, [cmd.path])
+                break
+            }
+            case "rm": {
+                for (let name of cmd.delfiles) {
+                    device._remove(_mock_join_path(cmd.path, name), cmd.rec)
+                }
+                this._log(45, `Delete: "${cmd.delfiles.join(", ")}"`, [cmd.delfiles.join(", ")])
+                break
+            }
+            case "rename": {
+                device._rename(cmd.path, cmd.oldname, cmd.newname)
+                this._log(48, `Rename: "${cmd.oldname}" to "${cmd.newname}"`, [cmd.oldname, cmd.newname])
+                break
+            }
+            case "upload": {
+                let path = cmd.name ? _mock_join_path(cmd.path, cmd.name) : _mock_normalize_path(cmd.path)
+                if (device._fs.get(_mock_parent_path(path)) !== null) {
+                    this._send({action: "uploaderror", reqid: cmd.reqid})
+                    break
+                }
+                this._upload = {reqid: cmd.reqid, path: path, chunks: []}
+                this._send({action: "uploadstart", reqid: cmd.reqid})
+                break
+            }
+            case "uploaddone": {
+                if (this._upload !== null && this._upload.reqid === cmd.reqid) {
+                    device.write_file(this._upload.path, Buffer.concat(this._upload.chunks))
+                    this._upload = null
+                    this._send({action: "uploaddone", reqid: cmd.reqid})
+                }
+                break
+            }
+            case "uploadcancel": {
+                if (this._upload !== null && this._upload.reqid === cmd.reqid) {
+                    this._upload = null
+                }
+                break
+            }
+            case "download": {
+                if (cmd.sub === "start") {
+                    let data = device.read_file(cmd.path)
+                    if (data === null) {
+                        this._send({action: "download", sub: "cancel", id: cmd.id})
+                        break
+                    }
+                    this._download = {id: cmd.id, data: data, offset: 0}
+                    this._send({action: "download", sub: "start", id: cmd.id})
+                } else if ((cmd.sub === "startack" || cmd.sub === "ack") && this._download !== null && this._download.id === cmd.id) {
+                    let d = this._download,
+                        chunk = d.data.slice(d.offset, d.offset + 16384),
+                        header = Buffer.alloc(4)
+                    d.offset += chunk.length
+                    if (d.offset >= d.data.length) {
+                        header[3] = 1 // End flag
+                        this._download = null
+                    }
+                    this._sock.send(Buffer.concat([header, chunk]))
+                } else if (cmd.sub === "stop") {
+                    this._download = null
+                }
+                break
+            }
+        }
+    }
+}
+
+/**
+ * In-process stand-in for a MeshCentral server. It speaks enough of the `control.ashx` and `meshrelay.ashx` protocols to exercise every {@link Session} method, {@link _Files} transfer and {@link _Shell} interaction without a real server.
+ *
+ * Most commands are answered from the in-memory model of users, device groups and devices. Use {@link MockServer#handle} to script any other answer.
+ * @prop {string} url - URL to pass to {@link Session}. Set once the server is listening.
+ * @prop {string} domain - Domain served by the server
+ * @prop {Object<string, Object>} users - Users by id
+ * @prop {Object<string, Object>} user_groups - User groups by id
+ * @prop {Object<string, Object>} meshes - Device groups by id
+ * @prop {Object<string, MockDevice>} devices - Devices by id
+ * @prop {Object[]} events - Every event sent so far, newest last
+ * @prop {Object[]} received - Every command received on control sockets, oldest first
+ */
+class MockServer {
+    /**
+     * @callback MockServer~Handler
+     * @param {Object} command - Parsed command as sent by the client
+     * @param {Object} connection - The connection which sent the command, with the authenticated `user`, a unique `sessionid` and `send(Object)`
+     * @returns {Object|undefined|Promise<Object|undefined>} Reply to send. `action`, `responseid` and `tag` are filled in from the command where missing. Return nothing to stay silent.
+     */
+
+    /**
+     * Constructor for MockServer
+     * @param {Object} [options={}]
+     * @param {string} [options.domain=""] - Domain served by the server
+     * @param {Object} [options.serverinfo={}] - Extra fields to send in the `serverinfo` handshake message
+     * @param {string|Buffer} [options.loginkey=null] - Login key to accept `?auth=` cookies for, as a hex string, a path to a file containing it or the raw key
+     */
+    constructor({domain="", serverinfo={}, loginkey=null}={}) {
+        this.url = null
+        this.domain = domain
+        this.users = {}
+        this.user_groups = {}
+        this.meshes = {}
+        this.devices = {}
+        this.events = []
+        this.received = []
+        this._serverinfo = serverinfo
+        this._loginkey = loginkey ? _read_login_key(loginkey) : null
+        this._passwords = {}
+        this._otp_secrets = {}
+        this._login_tokens = {}
+        this._device_shares = {}
+        this._handlers = {}
+        this._connections = new Set()
+        this._relays = new Set()
+        this._tunnels = {}
+        this._cookies = new Set()
+        this._http = null
+        this._wss = null
+    }
+
+    /**
+     * Factory for MockServer
+     * @param {Object} [options={}] - Options, as for the constructor
+     * @returns {Promise<MockServer>} Instance of MockServer which is listening on a random local port
+     */
+    static async create(options={}) {
+        let s = new this(options)
+        await s.listen()
+        return s
+    }
+
+    /**
+     * Start listening for connections
+     * @param {number} [port=0] - Port to listen on. 0 picks a free port.
+     * @param {string} [host="127.0.0.1"] - Address to listen on
+     * @returns {Promise<string>} URL of the server
+     */
+    async listen(port=0, host="127.0.0.1") {
+        this._http = http.createServer((req, res)=>{
+            res.writeHead(404)
+            res.end()
+        })
+        this._wss = new WebSocketServer({noServer: true})
+        this._http.on("upgrade", (req, socket, head)=>{
+            let url = new URL(req.url, "ws://localhost")
+            this._wss.handleUpgrade(req, socket, head, (sock)=>{
+                if (url.pathname.endsWith("/control.ashx")) {
+                    this._on_control(sock, req, url)
+                } else if (url.pathname.endsWith("/meshrelay.ashx")) {
+                    this._on_relay(sock, req, url)
+                } else {
+                    sock.close()
+                }
+            })
+        })
+        await new Promise((resolve, reject)=>{
+            this._http.once("error", reject)
+            this._http.listen(port, host, resolve)
+        })
+        this.url = `ws://${host}:${this._http.address().port}`
+        return this.url
+    }
+
+    /**
+     * Disconnect every client and stop listening
+     * @returns {Promise} Resolved once the server is closed
+     */
+    async close() {
+        for (let sock of this._wss.clients) {
+            sock.terminate()
+        }
+        await new Promise((resolve)=>this._wss.close(resolve))
+        await new Promise((resolve)=>this._http.close(resolve))
+    }
+
+    /**
+     * Disconnect every client without stopping the server, as if the server had restarted
+     */
+    drop_connections() {
+        for (let sock of this._wss.clients) {
+            sock.terminate()
+        }
+    }
+
+    /**
+     * Stop reading from every client without disconnecting them, as if the network had silently gone away. Useful to test `keepalive`.
+     */
+    stall_connections() {
+        for (let sock of this._wss.clients) {
+            sock.pause()
+        }
+    }
+
+    /**
+     * Add a user which can log in
+     * @param {string} name - Username
+     * @param {string} password - Password
+     * @param {Object} [options={}]
+     * @param {USERRIGHTS} [options.rights=USERRIGHTS.fullrights] - Bitwise mask of the user's rights on the server
+     * @param {string} [options.email=null] - User's email address
+     * @param {string} [options.realname=null] - User's real name
+     * @param {string} [options.otp_secret=null] - Base32 TOTP secret. When set, logging in with a password needs a matching code.
+     * @returns {Object} The new user
+     */
+    add_user(name, password, {rights=USERRIGHTS.fullrights, email=null, realname=null, otp_secret=null}={}) {
+        let user = {_id: `user/${this.domain}/${name.toLowerCase()}`, name: name, domain: this.domain, siteadmin: rights, creation: Math.floor(Date.now()/1000), links: {}}
+        if (email !== null) { user.email = email }
+        if (realname !== null) { user.realname = realname }
+        this.users[user._id] = user
+        this._passwords[user._id] = password
+        if (otp_secret !== null) {
+            user.otpsecret = 1
+            this._otp_secrets[user._id] = otp_secret
+        }
+        return user
+    }
+
+    /**
+     * Add a device group
+     * @param {string} name - Name of the group
+     * @param {Object} [options={}]
+     * @param {string} [options.description=""] - Description of the group
+     * @param {string[]} [options.users=null] - Ids of users with full rights on the group. Defaults to every user.
+     * @returns {Object} The new group
+     */
+    add_device_group(name, {description="", users=null}={}) {
+        let mesh = {_id: `mesh/${this.domain}/${crypto.randomBytes(16).toString("hex")}`, type: "mesh", name: name, mtype: 2, desc: description, domain: this.domain, links: {}}
+        for (let userid of (users || Object.keys(this.users))) {
+            mesh.links[userid] = {rights: MESHRIGHTS.fullrights}
+        }
+        this.meshes[mesh._id] = mesh
+        return mesh
+    }
+
+    /**
+     * Add a device
+     * @param {string} name - Name of the device
+     * @param {Object} [options={}] - Also takes every option of the {@link MockDevice} constructor
+     * @param {string} [options.group=null] - Id or name of the device group. Defaults to the first group, which is created if needed.
+     * @param {string} [options.id=null] - Id of the device. Defaults to a random id.
+     * @param {boolean} [options.online=true] - Whether the agent is connected
+     * @param {string} [options.osdesc="Ubuntu 22.04.3 LTS"] - Operating system description
+     * @param {string[]} [options.tags=[]] - Tags of the device
+     * @param {string} [options.ip="10.0.0.1"] - Address the agent connects from
+     * @param {Object} [options.agent={id: 6, ver: 0}] - Agent information
+     * @returns {MockDevice} The new device
+     */
+    add_device(name, {group=null, id=null, online=true, osdesc="Ubuntu 22.04.3 LTS", tags=[], ip="10.0.0.1", agent={id: 6, ver: 0}, ...options}={}) {
+        let mesh = this.meshes[group] || Object.values(this.meshes).find((m)=>m.name === group || group === null)
+        if (!mesh) {
+            if (group !== null) {
+                throw new ValueError(`Unknown device group ${group}`)
+            }
+            mesh = this.add_device_group("default")
+        }
+        let node = {_id: id || `node/${this.domain}/${crypto.randomBytes(48).toString("base64").replace(/\+/g, "@").replace(/\//g, "$")}`, type: "node", name: name, rname: name, host: ip, ip: ip, meshid: mesh._id, domain: this.domain, osdesc: osdesc, tags: tags, icon: 1, agent: agent, conn: online ? 1 : 0, pwr: online ? 1 : 0}
+        if (!online) {
+            node.lastconnect = Date.now()
+        }
+        let device = new MockDevice(this, node, options)
+        this.devices[node._id] = device
+        return device
+    }
+
+    /**
+     * Find a device by full id, or the id without its "node/domain/" prefix
+     * @param {string} nodeid - Id of the device
+     * @returns {MockDevice|null} The device, or null if there is none
+     */
+    get_device(nodeid) {
+        if (typeof nodeid !== "string") {
+            return null
+        }
+        return this.devices[nodeid] || Object.values(this.devices).find((d)=>d.id.split("/").pop() === nodeid.split("/").pop()) || null
+    }
+
+    /**
+     * Answer a command with a custom handler instead of the built in one
+     * @param {string} action - Action of the command to handle
+     * @param {MockServer~Handler} f - Handler which produces the reply
+     */
+    handle(action, f) {
+        this._handlers[action] = f
+    }
+
+    /**
+     * Send an event to every logged in client and add it to the event log
+     * @param {Object} event - Event to send, as it appears in the `event` field of the message
+     */
+    emit_event(event) {
+        event = Object.assign({domain: this.domain, time: new Date().toISOString()}, event)
+        this.events.push(event)
+        this.send_all({action: "event", event: event})
+    }
+
+    /**
+     * Send a raw message to every logged in client
+     * @param {Object} data - Message to send
+     * @param {string} [userid=null] - Only send to sessions of this user
+     */
+    send_all(data, userid=null) {
+        for (let connection of this._connections) {
+            if (userid === null || connection.user._id === userid) {
+                connection.send(data)
+            }
+        }
+    }
+
+    _decode_login_cookie(cookie) {
+        if (!cookie || this._loginkey === null) {
+            return null
+        }
+        let obj = _decode_cookie(cookie, this._loginkey)
+        return obj && this.users[obj.userid] || null
+    }
+
+    // Returns the user, or the close message explaining why there is none
+    _authenticate(req, url) {
+        let cookie_user = this._decode_login_cookie(url.searchParams.get("auth"))
+        if (cookie_user !== null) {
+            return [cookie_user, null]
+        }
+        let header = req.headers["x-meshauth"]
+        if (header) {
+            let [user, password, token] = header.split(",").map((part)=>Buffer.from(part, "base64").toString())
+            let userid = `user/${this.domain}/${(user || "").toLowerCase()}`
+            if (this.users[userid] && this._passwords[userid] === password) {
+                let secret = this._otp_secrets[userid]
+                if (!secret) {
+                    return [this.users[userid], null]
+                }
+                // Accept the codes next to the current one as well, like the real server
+                let now = Date.now()
+                if (token && [-30000, 0, 30000].some((offset)=>_totp(secret, {time: now + offset}) === token)) {
+                    return [this.users[userid], null]
+                }
+                return [null, {action: "close", cause: "noauth", msg: "tokenrequired", email2fa: false, sms2fa: false, msg2fa: false}]
+            }
+        }
+        return [null, {action: "close", cause: "noauth", msg: "noauth-2b"}]
+    }
+
+    _on_control(sock, req, url) {
+        let [user, failure] = this._authenticate(req, url)
+        if (user === null) {
+            sock.send(JSON.stringify(failure))
+            sock.close()
+            return
+        }
+        let connection = {
+            user: user,
+            sessionid: `${user._id}/${crypto.randomBytes(4).toString("hex")}`,
+            sock: sock,
+            send: (data)=>{
+                if (sock.readyState === ws.OPEN) {
+                    sock.send(JSON.stringify(data))
+                }
+            }
+        }
+        connection.send({action: "serverinfo", serverinfo: Object.assign({domain: this.domain, name: "localhost", port: this._http.address().port}, this._serverinfo)})
+        connection.send({action: "userinfo", userinfo: user})
+        this._connections.add(connection)
+        this.emit_event({etype: "user", action: "login", userid: user._id, username: user.name, msg: "Account login"})
+        sock.on("close", ()=>{
+            this._connections.delete(connection)
+            this.emit_event({etype: "user", action: "logout", userid: user._id, username: user.name, msg: "Account logout"})
+        })
+        sock.on("message", async (raw_data)=>{
+            let command = null
+            try { command = JSON.parse(raw_data) } catch (err) { return }
+            this.received.push(command)
+            let f = this._handlers[command.action] || this[`_handle_${command.action}`]
+            if (!f) { return }
+            let reply = await f.call(this, command, connection)
+            if (reply) {
+                reply = Object.assign({action: _MOCK_REPLY_ACTIONS[command.action] || command.action}, reply)
+                if (command.responseid !== undefined && reply.responseid === undefined) { reply.responseid = command.responseid }
+                if (command.tag !== undefined && reply.tag === undefined) { reply.tag = command.tag }
+                connection.send(reply)
+            }
+        })
+    }
+
+    _on_relay(sock, req, url) {
+        let tunnel = this._tunnels[url.searchParams.get("id")],
+            device = tunnel && this.get_device(tunnel.nodeid)
+        let auth = url.searchParams.get("auth")
+        if (!(this._cookies.has(auth) || this._decode_login_cookie(auth) !== null) || !tunnel || !device || !device.online) {
+            sock.close()
+            return
+        }
+        delete this._tunnels[url.searchParams.get("id")]
+        let relay = {sock: sock, device: device, handler: null}
+        this._relays.add(relay)
+        sock.on("close", ()=>{
+            this._relays.delete(relay)
+            if (relay.handler instanceof _MockTerminal) {
+                relay.handler.emit("close")
+            }
+        })
+        let options = {}
+        sock.on("message", (raw_data)=>{
+            if (relay.handler === null) {
+                // Options come before the protocol, and the first message which isn't one picks it
+                if (`${raw_data}`.startsWith(`{"ctrlChannel":"${_CTRL_CHANNEL}"`)) {
+                    let cmd = JSON.parse(`${raw_data}`)
+                    if (cmd.type === "options") {
+                        Object.assign(options, _.omit(cmd, ["ctrlChannel", "type"]))
+                    }
+                    return
+                }
+                if (`${raw_data}` === `${PROTOCOL.files}`) {
+                    relay.handler = new _MockFileSession(this, device, sock, tunnel.userid)
+                } else {
+                    relay.handler = new _MockTerminal(sock, options)
+                    device.shell(relay.handler)
+                }
+                return
+            }
+            relay.handler._receive_message(raw_data)
+        })
+        sock.send(device.recorded ? "cr" : "c")
+    }
+
+    _ok() {
+        return {result: "ok"}
+    }
+
+    _find_mesh(command) {
+        if (command.meshid) { return this.meshes[command.meshid] || null }
+        if (command.meshname) { return Object.values(this.meshes).find((m)=>m.name === command.meshname) || null }
+        return null
+    }
+
+    _nodes_by_mesh(meshes) {
+        let nodes = {}
+        for (let mesh of meshes) {
+            nodes[mesh._id] = Object.values(this.devices).filter((d)=>d.node.meshid === mesh._id).map((d)=>Object.assign({}, d.node))
+        }
+        return nodes
+    }
+
+    _handle_users(command) {
+        return {users: Object.values(this.users)}
+    }
+
+    _handle_wssessioncount(command) {
+        let sessions = {}
+        for (let connection of this._connections) {
+            sessions[connection.user._id] = (sessions[connection.user._id] || 0) + 1
+        }
+        return {wssessions: sessions}
+    }
+
+    _handle_usergroups(command) {
+        return {ugroups: this.user_groups}
+    }
+
+    _handle_meshes(command) {
+        return {meshes: Object.values(this.meshes)}
+    }
+
+    _handle_nodes(command) {
+        let meshes = Object.values(this.meshes)
+        if (command.meshid || command.meshname) {
+            let mesh = this._find_mesh(command)
+            meshes = mesh ? [mesh] : []
+        }
+        return {nodes: this._nodes_by_mesh(meshes)}
+    }
+
+    _handle_getDeviceDetails(command) {
+        return {type: command.type, data: JSON.stringify(Object.values(this.devices).map((d)=>({node: d.node, sys: d.sysinfo, net: d.netinfo})))}
+    }
+
+    _handle_events(command) {
+        let events = this.events.filter((e)=>(!command.user || e.userid === command.user) && (!command.nodeid || e.nodeid === command.nodeid))
+        if (command.limit) {
+            events = events.slice(-command.limit)
+        }
+        return {events: events.slice().reverse()}
+    }
+
+    _handle_loginTokens(command, connection) {
+        let tokens = this._login_tokens[connection.user._id] = (this._login_tokens[connection.user._id] || [])
+        if (command.remove) {
+            _.remove(tokens, (t)=>command.remove.includes(t.tokenUser))
+        }
+        return {loginTokens: tokens}
+    }
+
+    _handle_createLoginToken(command, connection) {
+        let token = {name: command.name, tokenUser: `~t:${crypto.randomBytes(8).toString("hex")}`, tokenPass: crypto.randomBytes(12).toString("base64"), created: Date.now(), expire: command.expire ? Date.now() + command.expire*60000 : 0}
+        let tokens = this._login_tokens[connection.user._id] = (this._login_tokens[connection.user._id] || [])
+        tokens.push({name: token.name, tokenUser: token.tokenUser, created: token.created, expire: token.expire})
+        return token
+    }
+
+    _handle_adduser(command) {
+        let userid = `user/${command.domain || this.domain}/${command.username.toLowerCase()}`
+        if (this.users[userid]) {
+            return {result: "Username already exists"}
+        }
+        let user = this.add_user(command.username, command.pass, {rights: command.siteadmin || 0, email: command.email || null, realname: command.realname || null})
+        this.emit_event({etype: "user", action: "accountcreate", userid: user._id, username: user.name, account: user})
+        return this._ok()
+    }
+
+    _handle_edituser(command) {
+        let user = this.users[command.userid]
+        if (!user) {
+            return {result: "Invalid user"}
+        }
+        for (let key of ["email", "realname", "phone", "siteadmin", "emailVerified", "resetNextLogin"]) {
+            if (command[key] !== undefined) { user[key] = command[key] }
+        }
+        this.emit_event({etype: "user", action: "accountchange", userid: user._id, username: user.name, account: user})
+        return this._ok()
+    }
+
+    _handle_deleteuser(command) {
+        if (!this.users[command.userid]) {
+            return {result: "Invalid user"}
+        }
+        let user = this.users[command.userid]
+        delete this.users[command.userid]
+        delete this._passwords[command.userid]
+        this.emit_event({etype: "user", action: "accountremove", userid: user._id, username: user.name})
+        return this._ok()
+    }
+
+    _handle_createusergroup(command) {
+        let group = {_id: `ugrp/${command.domain || this.domain}/${crypto.randomBytes(16).toString("hex")}`, type: "ugrp", name: command.name, desc: command.desc, domain: command.domain || this.domain, links: {}}
+        this.user_groups[group._id] = group
+        this.emit_event({etype: "ugrp", action: "createusergroup", ugrpid: group._id, name: group.name, desc: group.desc, links: group.links})
+        return {result: "ok", ugrpid: group._id, links: group.links}
+    }
+
+    _handle_deleteusergroup(command) {
+        if (!this.user_groups[command.ugrpid]) {
+            return {result: "Invalid user group"}
+        }
+        delete this.user_groups[command.ugrpid]
+        this.emit_event({etype: "ugrp", action: "deleteusergroup", ugrpid: command.ugrpid})
+        return this._ok()
+    }
+
+    _handle_addusertousergroup(command) {
+        let group = this.user_groups[command.ugrpid]
+        if (!group) {
+            return {result: "Invalid user group"}
+        }
+        let added = []
+        for (let name of command.usernames) {
+            let user = this.users[name] || this.users[`user/${group.domain}/${`${name}`.split("/").pop().toLowerCase()}`]
+            if (user) {
+                group.links[user._id] = {name: user.name}
+                added.push(user.name)
+            }
+        }
+        setImmediate(()=>this.emit_event({etype: "ugrp", action: "usergroupchange", ugrpid: group._id, links: group.links, msgid: 71, msgArgs: [added.join(", "), group.name], msg: `Added user(s) ${added.join(", ")} to user group ${group.name}`}))
+        return this._ok()
+    }
+
+    _handle_removeuserfromusergroup(command) {
+        let group = this.user_groups[command.ugrpid]
+        if (!group) {
+            return {result: "Invalid user group"}
+        }
+        delete group.links[command.userid]
+        return this._ok()
+    }
+
+    _handle_adddeviceuser(command) {
+        let device = this.get_device(command.nodeid)
+        if (!device) {
+            return {result: "Invalid nodeid"}
+        }
+        device.node.links = device.node.links || {}
+        for (let userid of (command.userids || command.usernames || [])) {
+            if (command.remove) {
+                delete device.node.links[userid]
+            } else {
+                device.node.links[userid] = {rights: command.rights}
+            }
+        }
+        return this._ok()
+    }
+
+    _handle_createmesh(command) {
+        let mesh = this.add_device_group(command.meshname, {description: command.desc || ""})
+        mesh.mtype = command.meshtype
+        if (command.flags) { mesh.flags = command.flags }
+        if (command.consent) { mesh.consent = command.consent }
+        this.emit_event({etype: "mesh", action: "createmesh", meshid: mesh._id, name: mesh.name, mtype: mesh.mtype, desc: mesh.desc, links: mesh.links})
+        return {result: "ok", meshid: mesh._id, links: mesh.links}
+    }
+
+    _handle_deletemesh(command) {
+        let mesh = this._find_mesh(command)
+        if (!mesh) {
+            return {result: "Unknown device group"}
+        }
+        delete this.meshes[mesh._id]
+        for (let [id, device] of Object.entries(this.devices)) {
+            if (device.node.meshid === mesh._id) {
+                delete this.devices[id]
+            }
+        }
+        this.emit_event({etype: "mesh", action: "deletemesh", meshid: mesh._id, name: mesh.name})
+        return this._ok()
     }
 
-    _on_close() {
-        let req
-        while (req = this._request_queue.shift()) {
-            req.finished.reject("Socket closed")
+    _handle_editmesh(command) {
+        let mesh = this._find_mesh(command)
+        if (!mesh) {
+            return {result: "Unknown device group"}
         }
+        // meshname only renames the group when the group is picked by id
+        if (command.meshid !== undefined && command.meshname !== undefined) { mesh.name = command.meshname }
+        if (command.desc !== undefined) { mesh.desc = command.desc }
+        if (command.flags !== undefined) { mesh.flags = command.flags }
+        if (command.consent !== undefined) { mesh.consent = command.consent }
+        if (command.invite !== undefined) { mesh.invite = command.invite }
+        this.emit_event({etype: "mesh", action: "meshchange", meshid: mesh._id, name: mesh.name, desc: mesh.desc, flags: mesh.flags, consent: mesh.consent, links: mesh.links})
+        return this._ok()
     }
 
-    async _send_command(data, name) {
-        if (!this.alive) {
-            throw new SocketError("Socket Closed")
+    _handle_changeDeviceMesh(command) {
+        let mesh = this._find_mesh(command)
+        if (!mesh) {
+            return {result: "Unknown device group"}
         }
-        let id = `meshctrl_${name}_${this._get_request_id()}`
-        let request = {id: id, type: name, finished: new _Deferred()}
-        this._request_queue.push(request)
-        let r = ()=>{
-            if (this.alive) {
-                this._sock.send(JSON.stringify(Object.assign({}, data, { responseid: id })))
-                return request.finished
+        for (let nodeid of command.nodeids) {
+            let device = this.get_device(nodeid)
+            if (device) {
+                let old_meshid = device.node.meshid
+                device.node.meshid = mesh._id
+                this.emit_event({etype: "node", action: "nodemeshchange", nodeid: device.id, node: device.node, oldMeshId: old_meshid, newMeshId: mesh._id})
             }
         }
-        return this._download_finished = this._download_finished.then(r, r)
-        
+        return this._ok()
     }
 
-    /** Return a directory listing from the device
-     * @param {string} directory - Path to the directory you wish to list
-     * @returns {Promise<Object[]>} - An array of objects representing the directory listing
-     * @throws {SocketError} Info about socket closure
-     */
-    async ls(directory) {
-        return this._send_command({action: "ls", path: directory}, "ls").then(data=>{
-            return data.dir
-        })
+    _handle_addmeshuser(command) {
+        let mesh = this._find_mesh(command)
+        if (!mesh) {
+            return {result: "Unknown device group"}
+        }
+        let results = []
+        for (let userid of command.userids) {
+            let user = this.users[userid] || this.users[`user/${this.domain}/${userid.split("/").pop()}`]
+            if (user) {
+                mesh.links[user._id] = {name: user.name, rights: command.meshadmin}
+                results.push(`Added user ${user.name}`)
+            } else {
+                results.push(`Unknown user ${userid}`)
+            }
+        }
+        return {result: results.join(",")}
     }
 
-    /** Return a directory listing from the device
-     * @param {string} directory - Path to the directory you wish to list
-     * @returns {Promise<boolean>} - True if firectory creation succeeded
-     * @throws {SocketError} Info about socket closure
-     */
-    async mkdir(directory) {
-        let l = this._session.listen_to_events((data)=>{
-            this._session.stop_listening_to_events(l)
-            this._session.stop_listening_to_events(l2)
-            let req = this._request_queue.shift()
-            req.finished.resolve(true)
-        }, {"event": {"etype": "node", "action": "agentlog"}})
-        let l2 = this._session.listen_to_events((data)=>{
-            this._session.stop_listening_to_events(l)
-            this._session.stop_listening_to_events(l2)
-            let req = this._request_queue.shift()
-            req.finished.reject(new ServerError(data.value))
-        }, {action:"msg", type:"console"})
-        return this._send_command({action: "mkdir", path: directory}, "mkdir")
+    _handle_removemeshuser(command) {
+        let mesh = this._find_mesh(command)
+        if (!mesh) {
+            return {result: "Unknown device group"}
+        }
+        if (!mesh.links[command.userid]) {
+            return {result: "User not in mesh"}
+        }
+        delete mesh.links[command.userid]
+        return this._ok()
     }
 
-    /** Remove files/folder from the device. This API doesn't error if the file doesn't exist.
-     * @param {string} path - Directory from which to delete files
-     * @param {string} files - Array of filenames to remove
-     * @param {boolean} [recursive=false] - Whether to delete the files recursively
-     * @returns {Promise<string>} - Message returned from server
-     * @throws {ServerError} Error text from server if there is a failure
-     * @throws {SocketError} Info about socket closure
-     */
-    async rm(path, files, recursive=false) {
-        if (typeof(files) === "string") { files = [files] }
-        let l = this._session.listen_to_events((data)=>{
-            this._session.stop_listening_to_events(l)
-            this._session.stop_listening_to_events(l2)
-            let req = this._request_queue.shift()
-            req.finished.resolve(data.event.msg)
-        }, {"event": {"etype": "node", "action": "agentlog"}})
-        let l2 = this._session.listen_to_events((data)=>{
-            this._session.stop_listening_to_events(l)
-            this._session.stop_listening_to_events(l2)
-            let req = this._request_queue.shift()
-            req.finished.reject(new ServerError(data.value))
-        }, {action:"msg", type:"console"})
-        return this._send_command({action: "rm", delfiles: files, rec: recursive, path: path}, "mkdir")
+    _handle_userbroadcast(command) {
+        this.send_all({action: "msg", type: "notify", value: command.msg, title: "Broadcast"}, command.userid || null)
+        return this._ok()
     }
 
-    /** Rename a file or folder on the device. This API doesn't error if the file doesn't exist.
-     * @param {string} path - Directory from which to rename the file
-     * @param {string} name - File which to rename
-     * @param {string} new_name - New name to give the file
-     * @returns {Promise<string>} - Message returned from server
-     * @throws {ServerError} Error text from server if there is a failure
-     * @throws {SocketError} Info about socket closure
-     */
-    async rename(path, name, new_name) {
-        let l = this._session.listen_to_events((data)=>{
-            this._session.stop_listening_to_events(l)
-            this._session.stop_listening_to_events(l2)
-            let req = this._request_queue.shift()
-            req.finished.resolve(data.event.msg)
-        }, {"event": {"etype": "node", "action": "agentlog"}})
-        let l2 = this._session.listen_to_events((data)=>{
-            this._session.stop_listening_to_events(l)
-            this._session.stop_listening_to_events(l2)
-            let req = this._request_queue.shift()
-            req.finished.reject(new ServerError(data.value))
-        }, {action:"msg", type:"console"})
-        return this._send_command({action: "rename", path: path, oldname: name, newname: new_name}, "rename")
-    }
-
-    async upload(source, target, {name=null}={}) {
-        if (source.readableEnded) {
-            throw Error("Cannot upload from ended readable")
+    _handle_getnetworkinfo(command) {
+        let device = this.get_device(command.nodeid)
+        if (!device) {
+            return {nodeid: command.nodeid, netif2: null}
         }
-        let request_id = `upload_${this._get_request_id()}`
-        let outstream = new _SizeChunker(65564)
-        let request = {id: request_id, type: "upload", source: source, chunker: outstream, target: target, name: name, size: 0, chunks: [], complete: false, has_data: new _Deferred(), inflight: 0, finished: new _Deferred()}
-        this._request_queue.push(request)
-        let f = ()=>{
-            if (this.alive) {
-                this._sock.send(JSON.stringify({ action: 'upload', reqid: request_id, path: target, name: name}))
-                this._eventer.once(request_id, (data)=>{
-                    let req = this._request_queue.shift()
-                    if (data.result == "success") {
-                        req.finished.resolve(data)
-                    } else {
-                        req.finished.reject(data)
-                    }
-                })
-                return request.finished
-            }
+        return Object.assign({nodeid: device.id, updateTime: Date.now()}, device.netinfo)
+    }
+
+    _handle_lastconnect(command) {
+        let device = this.get_device(command.nodeid)
+        if (!device) {
+            return {nodeid: command.nodeid, result: "No data"}
         }
-        this._download_finished = this._download_finished.then(f, f)
-        return this._download_finished
+        return {nodeid: device.id, time: device.online ? Date.now() : device.node.lastconnect, addr: device.node.ip}
     }
 
-    async download(source, target) {
-        let request_id = `download_${this._get_request_id()}`
-        let request = {id: request_id, type: "download", source: source, target: target, size: 0, finished: new _Deferred()}
-        this._request_queue.push(request)
-        let f = ()=>{
-            if (this.alive) {
-                this._sock.send(JSON.stringify({ action: 'download', sub: 'start', id: request_id, path: source }))
-                this._eventer.once(request_id, (data)=>{
-                    let req = this._request_queue.shift()
-                    if (data.result == "success") {
-                        req.finished.resolve(data)
-                    } else {
-                        req.finished.reject(data)
-                    }
-                })
-                return request.finished
-            }
+    _handle_getsysinfo(command) {
+        let device = this.get_device(command.nodeid)
+        if (!device) {
+            return {nodeid: command.nodeid, result: "Invalid device id", noinfo: true}
         }
-        this._download_finished = this._download_finished.then(f, f)
-        return this._download_finished
+        let reply = Object.assign({nodeid: device.id}, device.sysinfo)
+        if (command.nodeinfo) { reply.node = Object.assign({}, device.node) }
+        return reply
     }
 
-    _handle_upload(raw_data, req) {
-        var cmd = null;
-        try { cmd = JSON.parse(raw_data.toString()); } catch (ex) { return; }
-        if (cmd.reqid == req.id) {
-            if (cmd.action == "uploaddone") {
-                this._eventer.emit(req.id, {result: "success", size: req.size})
-            } else if (cmd.action === "uploadstart") {
-                req.chunker.on("data", (new_buf) => {
-                    let buf = Buffer.alloc(65565)
-                    let len = new_buf.length
-                    var start = 1;
-                    new_buf.copy(buf, start)
-                    if (len > 0) {
-                        req.size += len
-                        if ((buf[1] == 0) || (buf[1] == 123)) { start = 0; buf[0] = 0; len++; } // If the buffer starts with 0 or 123, we must add an extra 0 at the start of the buffer
-                        this._sock.send(buf.slice(start, start + len))
-                        req.inflight++
-                    }
-                })
-                req.chunker.on("end", ()=>{
-                    req.complete = true
-                    if (req.inflight == 0) {
-                        this._sock.send(JSON.stringify({ action: 'uploaddone', reqid: req.id}))
-                    }
-                })
-                req.source.pipe(req.chunker)
-            } else if (cmd.action === "uploadack") {
-                req.inflight--
-                if (req.complete && req.inflight == 0) {
-                    this._sock.send(JSON.stringify({ action: 'uploaddone', reqid: req.id}))
-                }
-            } else if (cmd.action == 'uploaderror') {
-                this._eventer.emit(req.id, {result: "error", size: req.size})
-            }
+    _handle_changedevice(command) {
+        let device = this.get_device(command.nodeid)
+        if (!device) {
+            return {result: "Invalid nodeid"}
+        }
+        for (let [key, field] of [["name", "name"], ["desc", "desc"], ["tags", "tags"], ["icon", "icon"], ["consent", "consent"]]) {
+            if (command[key] !== undefined) { device.node[field] = command[key] }
         }
+        if (typeof device.node.tags === "string") { device.node.tags = device.node.tags.split(",").map((t)=>t.trim()) }
+        this.emit_event({etype: "node", action: "changenode", nodeid: device.id, node: device.node, msg: `Changed device ${device.node.name}`})
+        return this._ok()
     }
 
-    _handle_download(raw_data, req) {
-        let cmd = null
-        try {
-            cmd = JSON.parse(raw_data.toString());
-        } catch (err) { }
-        if (cmd === null) {
-            if (raw_data.length > 4) {
-                req.target.write(raw_data.slice(4))
-                req.size += raw_data.length-4
-            }
-            if ((raw_data[3] & 1) != 0) { // Check end flag
-                req.target.end()
-                this._eventer.emit(req.id, {result: "success", size: req.size})
-            } else {
-               this._sock.send(JSON.stringify({ action: 'download', sub: 'ack', id: req.id })) // Send the ACK
+    _handle_runcommands(command) {
+        let devices = command.nodeids.map((nodeid)=>this.get_device(nodeid)).filter((d)=>d && d.online)
+        // Every device runs the command at its own pace, as agents do
+        setImmediate(()=>devices.map(async (device)=>{
+            let send = (value)=>this.send_all({action: "msg", type: "console", nodeid: device.id, value: `${value}`})
+            if (command.type === 4) {
+                // Console commands always answer with exactly one message
+                let out
+                try {
+                    out = await device.on_console(command.cmds)
+                } catch (err) {
+                    out = `${err.message || err}`
+                }
+                send(out || "")
+                return
             }
-        } else {
-            if (cmd.action == 'download') {
-                if (cmd.id != req.id) return;
-                if (cmd.sub == 'start') {
-                    this._sock.send(JSON.stringify({ action: 'download', sub: 'startack', id: req.id }))
-                } else if (cmd.sub == 'cancel') {
-                    req.target.end()
-                    this._eventer.emit(req.id, {result: "canceled", size: req.size})
+            try {
+                for await (let out of _mock_chunks(await device.on_command(command.cmds, {type: command.type, runAsUser: command.runAsUser || 0}))) {
+                    if (out) {
+                        send(out)
+                    }
                 }
+            } catch (err) {
+                send(err.message || err)
             }
-        }
+            send("Run commands completed.")
+        }))
+        return {result: "OK"}
     }
 
-    _handle_action(raw_data) {
-        var data = null;
-        data = JSON.parse(raw_data)
-        let req = this._request_queue.shift()
-        req.finished.resolve(data)
+    _handle_wakedevices(command) {
+        return this._ok()
     }
 
-    _receive_message(raw_data) {
-        var data = raw_data.toString();
-        if (this.initialized.resolved) {
-            if (raw_data[0] === 123 && this._request_queue.length && !["upload", "download"].includes(this._request_queue[0].type)) {
-                this._handle_action(raw_data)
-            }
-            else if (this._request_queue.length && this._request_queue[0].type === "upload") {
-                this._handle_upload(raw_data, this._request_queue[0])
-            } else if (this._request_queue.length && this._request_queue[0].type === "download") {
-                this._handle_download(raw_data, this._request_queue[0])
-            }
-        } else {
-            this.recorded = false
-            if (data == "cr") {
-                this.recorded = true
+    _handle_poweraction(command) {
+        for (let nodeid of command.nodeids) {
+            let device = this.get_device(nodeid)
+            if (device && device.online && command.actiontype !== 3) {
+                device.online = false
             }
-            this._sock.send(Buffer.from(`${this._protocol}`))
-            this.initialized.resolve()
-            this.alive = true
         }
+        return this._ok()
     }
-}
 
-/** Class for Mesh Central agent shell
- * @prop {_Deferred} initialized - Promise which is resolved when session is initialized, and rejected upon failure
- * @prop {bool} alive - Whether the session is currently alive*/
-class _Shell extends _Tunnel {
+    _handle_deviceShares(command) {
+        let device = this.get_device(command.nodeid)
+        if (!device) {
+            return {nodeid: command.nodeid, result: "Invalid device id"}
+        }
+        return {nodeid: device.id, deviceShares: this._device_shares[device.id] || []}
+    }
 
-    /** Constructor for _Shell
-     * @param {Session} session - Session representing a logged in user
-     * @param {string} node_id - Node on which to open the shell
-     * @returns {_Shell} Instance of _Shell
-     */
-    constructor(session, node_id) {
-        super(session, node_id, PROTOCOL.terminal)
-        this.recorded = null
-        this._buffer = Buffer.alloc(0)
-        this._message_queue = []
-        this._command_id = 0
+    _handle_createDeviceShareLink(command, connection) {
+        let device = this.get_device(command.nodeid)
+        if (!device) {
+            return {result: "Invalid device id"}
+        }
+        let share = {publicid: crypto.randomBytes(9).toString("hex"), guestName: command.guestname, p: command.p, consent: command.consent, startTime: command.start*1000, expireTime: command.end*1000, userid: connection.user._id}
+        let shares = this._device_shares[device.id] = (this._device_shares[device.id] || [])
+        shares.push(share)
+        return {result: "OK", nodeid: device.id, publicid: share.publicid, url: `${this.url.replace(/^ws/, "http")}/sharing?c=${share.publicid}`, p: share.p, consent: share.consent, start: command.start, end: command.end}
+    }
 
-        this._initialize()
+    _handle_removeDeviceShare(command) {
+        let shares = this._device_shares[(this.get_device(command.nodeid) || {}).id] || []
+        if (!_.remove(shares, (s)=>s.publicid === command.publicid).length) {
+            return {result: "Invalid device share"}
+        }
+        return {result: "OK", publicid: command.publicid, removed: true}
     }
 
-    /** Factory for _Shell
-     * @name _Shell.create
-     * @function
-     * @static
-     * @param {Session} session - Session representing a logged in user
-     * @param {string} node_id - Node on which to open the shell
-     * @returns {_Shell} Instance of _Shell which has been initialized
-     */
+    _handle_msg(command, connection) {
+        let device = this.get_device(command.nodeid)
+        if (!device || !device.online) {
+            return {result: "Unable to route command"}
+        }
+        if (command.type === "tunnel") {
+            let url = new URL(command.value.slice(1), "ws://localhost")
+            this._tunnels[url.searchParams.get("id")] = {nodeid: device.id, protocol: url.searchParams.get("p"), userid: connection.user._id}
+        } else if (command.type === "openUrl") {
+            setImmediate(()=>connection.send({action: "msg", type: "openUrl", nodeid: device.id, url: command.url, success: true}))
+        }
+        return {result: "OK"}
+    }
 
-    /** Write to the shell
-     * @param {string} command - String to write to the shell
-     * @return {Promise} Resolved when data is sent. No verification is performed.
-     */
-    async write(command) {
-        return this._sock.send(Buffer.from(command))
+    _handle_toast(command) {
+        return this._ok()
     }
 
-    /** Read from the shell
-     * @param {number} [length=null] - Number of bytes to read. null == read until closed or timeout occurs
-     * @param {number} [timeout=null] - Milliseconds to wait for data. null == read until `length` bytes are read, or shell is closed.
-     * @param {boolean} [return_intermediate=false] - If timeout occurs, return all data read. Otherwise, leave it in the buffer.
-     * @return {Promise<Buffer>} Buffer of data read
-     * @throws {Object} Containing `reason` for failure, and `data` read so far, if applicable.
-     */
-    async read(length=null, timeout=null, return_intermediate=false) {
-        let start = new Date()
-        return new Promise((resolve, reject)=>{
-            try {
-                let check_data = ()=>{
-                    if ((timeout !== null && new Date() - start > timeout) || this._sock.readyState > 1) {
-                        let obj = {reason: this._sock.readyState < 2 ? "timeout" : "closed"}
-                        if (return_intermediate) {
-                            obj["data"] = this._buffer.slice(0, length)
-                            this._buffer = this._buffer.slice(length)
-                        }
-                        reject(obj)
-                    } else if (length !== null && this._buffer.length < length) {
-                        setTimeout(()=>{
-                            check_data()
-                        }, 100)
-                    } else {
-                        if (length !== null) {
-                            let data = this._buffer.slice(0, length)
-                            this._buffer = this._buffer.slice(length)
-                            resolve(data)
-                        } else {
-                            let data = this._buffer.slice()
-                            this._buffer = Buffer.alloc(0)
-                            resolve(data)
-                        }
-                    }
-                }
-                check_data()
-            } catch (err) {
-                reject(err)
+    _handle_interuser(command, connection) {
+        for (let other of this._connections) {
+            if (other !== connection && (other.sessionid === command.sessionid || other.user._id === command.userid)) {
+                other.send({action: "interuser", sessionid: connection.sessionid, data: command.data})
             }
-        })
+        }
     }
 
-    /** Read data from the shell until `regex` is seen
-     * @param {regex} regex - Regular expression to wait for in the shell
-     * @param {number} [timeout=null] - Milliseconds to wait for data. null == read until `regex` is seen, or shell is closed.
-     * @param {boolean} [return_intermediate=false] - If timeout occurs, return all data read. Otherwise, leave it in the buffer.
-     * @return {Promise<Buffer>} Buffer of data read
-     * @throws {Object} Containing `reason` for failure, and `data` read so far, if applicable.
-     */
-    async expect(regex, timeout=null, return_intermediate=false) {
-        let data = Buffer.alloc(0),
-            start = new Date()
-
-        return new Promise((resolve, reject)=>{
-            try {
-                let check_data = ()=>{
-                    if ((timeout !== null && new Date() - start > timeout) || this._sock.readyState > 1) {
-                        let obj = {reason: this._sock.readyState < 2 ? "timeout" : "closed"}
-                        if (return_intermediate) {
-                            this.read(1024, 100, true).then((data)=>{
-                                obj["data"] = data
-                                reject(obj)
-                            }, (({reason, data})=>{
-                                obj["data"] = data
-                                reject(obj)
-                            }))
-                        } else {
-                            reject(obj)
-                        }
-                    } else {
-                        let m = this._buffer.toString().match(regex)
-                        if (m !== null) {
-                            this.read(m.index+m[0].length).then((data)=>{
-                                resolve(data)
-                            })
-                        } else {
-                            setTimeout(()=>{
-                                check_data()
-                            }, 100)
-                        }
-                    }
-                }
-                check_data()
-            } catch (err) {
-                reject(err)
-            }
-        })
+    _handle_authcookie(command, connection) {
+        // Cookies are url safe, like the ones the real server makes
+        let cookie = crypto.randomBytes(24).toString("base64").replace(/\+/g, "@").replace(/\//g, "$"),
+            rcookie = crypto.randomBytes(24).toString("base64").replace(/\+/g, "@").replace(/\//g, "$")
+        this._cookies.add(cookie)
+        return {cookie: cookie, rcookie: rcookie}
     }
 
-    /**
-     * Close this the shell. No more data can be written, but data can still be read from the current buffer.
-     */
-    close() {
-        this._sock.close()
+    _handle_inviteAgent(command) {
+        if (!this._find_mesh(command)) {
+            return {result: "Unknown device group"}
+        }
+        return this._ok()
     }
 
-    _receive_message(raw_data){
-        var data = raw_data.toString();
-        if (this.initialized.resolved) {
-            // If the incoming text looks exactly like a control command, ignore it.
-            if ((typeof data == 'string') && (data.startsWith('{"ctrlChannel":"102938","type":"'))) {
-                var ctrlCmd = null;
-                try { ctrlCmd = JSON.parse(data); } catch (ex) { }
-                if ((ctrlCmd != null) && (ctrlCmd.ctrlChannel == '102938') && (ctrlCmd.type != null)) return; // This is a control command, like ping/pong. Ignore it.
-            }
-            this._buffer = Buffer.concat([this._buffer, Buffer.from(data)])
-        } else {
-            this.recorded = false
-            if (data == "cr") {
-                this.recorded = true
-            }
-            this.write(`${this._protocol}`); // Terminal
-            this.alive = true
-            this.initialized.resolve()
+    _handle_createInviteLink(command) {
+        let mesh = this._find_mesh(command)
+        if (!mesh) {
+            return {result: "Unknown device group"}
         }
+        return {result: "ok", meshid: mesh._id, url: `${this.url.replace(/^ws/, "http")}/agentinvite?c=${crypto.randomBytes(12).toString("hex")}`, expire: command.expire, flags: command.flags}
     }
 }
 
 const _Internal = {
     _SizeChunker,
     _Shell,
+    _VirtualScreen,
+    _ShellStream,
+    _Transcript,
+    _ShellRecorder,
     _SmartShell,
     _Tunnel,
     _Deferred,
+    _Heartbeat,
+    _MockTerminal,
+    _ReplaySocket,
+    _MockFileSession,
     _compare_obj,
+    _parse_event,
+    _find_devices,
+    _script_command,
+    _server_error,
+    _EventStream,
+    _CommandStream,
+    _Job,
+    _JobReport,
+    _encode_cookie,
+    _decode_cookie,
+    _totp,
     _make_enum,
     _make_bitwise_enum
 }
 
+/**
+ * Helpers for object ids. Devices have ids like "node/domain/name", device groups "mesh/domain/name", users "user/domain/name" and user groups "ugrp/domain/name", where the domain is empty for the server's default domain. A short id is only the name part.
+ * @readonly
+ * @prop {function} parse - `(id)` Splits an id into `{kind, domain, name}`. kind and domain are null for a short id.
+ * @prop {function} format - `(kind, id, domain=null)` Turns a short id into a full one of the given kind. Full ids are returned as they are.
+ * @prop {function} same - `(a, b, domain=null)` Whether two ids refer to the same object. A short id is taken to be in `domain`, or in any domain if that is null.
+ */
+const IDS = {
+    parse: _parse_id,
+    format: _format_id,
+    same: _same_id
+}
+
 const ERRORS = {
     ServerError,
+    PermissionDeniedError,
+    NotFoundError,
+    AlreadyExistsError,
+    InvalidArgumentError,
+    DeviceOfflineError,
+    ConsentDeniedError,
+    TransferError,
+    AuthenticationError,
+    TwoFactorError,
     SocketError,
     ValueError,
-    TimeoutError
+    TimeoutError,
+    EventOverflowError,
+    AmbiguousNameError,
+    DialogueError
 }
 
-export {Session, MESHRIGHTS, USERRIGHTS, CONSENTFLAGS, MESHFEATURES, SHARINGTYPE, SHARINGTYPENUM, PROTOCOL, ICON, ERRORS, _Internal}
\ No newline at end of file
+export {Session, DeviceStore, ScriptLibrary, SessionRecorder, ReplayTransport, CastPlayer, MockServer, MockDevice, MESHRIGHTS, USERRIGHTS, CONSENTFLAGS, MESHFEATURES, SHARINGTYPE, SHARINGTYPENUM, PROTOCOL, ICON, ERRORS, EVENTS, IDS, _Internal}
\ No newline at end of file